@@ -0,0 +1,78 @@
+/* eslint-env node */
+import { Buffer } from 'buffer';
+import { createHash } from 'crypto';
+
+import Storage from '../';
+
+// Usage: npm run bench -- [messageCount] [branchCount]
+const MESSAGE_COUNT = parseInt(process.argv[2], 10) || 100000;
+const BRANCH_COUNT = parseInt(process.argv[3], 10) || 4;
+const BATCH = 1000;
+const ITERATIONS = 100;
+
+const hash = (value) => createHash('sha256').update(value).digest();
+
+async function measure(name, fn) {
+  // Warm up
+  await fn();
+
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < ITERATIONS; i++) {
+    await fn();
+  }
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${name}: ${(elapsed / ITERATIONS).toFixed(3)}ms/op`);
+}
+
+async function main() {
+  const storage = new Storage();
+  await storage.open();
+
+  const channelId = hash('channel');
+  const data = Buffer.alloc(64);
+
+  // `BRANCH_COUNT` parallel chains of messages
+  const heads = new Array(BRANCH_COUNT).fill(null);
+  const start = Date.now();
+  for (let offset = 0; offset < MESSAGE_COUNT; offset += BATCH) {
+    const batch = [];
+    const end = Math.min(MESSAGE_COUNT, offset + BATCH);
+    for (let i = offset; i < end; i++) {
+      const branch = i % BRANCH_COUNT;
+      const parent = heads[branch];
+      const message = {
+        channelId,
+        hash: hash(`message-${i}`),
+        height: parent ? parent.height + 1 : 0,
+        parents: parent ? [ parent.hash ] : [],
+        data,
+      };
+      heads[branch] = message;
+      batch.push(message);
+    }
+    await storage.addMessages(batch);
+  }
+  console.log(`inserted ${MESSAGE_COUNT} messages in ${Date.now() - start}ms`);
+
+  const leaves = await storage.getLeafHashes(channelId);
+  if (leaves.length !== BRANCH_COUNT) {
+    throw new Error(`Unexpected leaf count: ${leaves.length}`);
+  }
+
+  await measure('getLeafHashes', () => storage.getLeafHashes(channelId));
+
+  // Query that was used before the `leaves` table, for comparison
+  await measure('NOT IN parents', () => storage.db.allAsync(`
+    SELECT hash FROM messages
+    WHERE messages.channel_id == $channelId AND
+      messages.hash NOT IN
+      (SELECT hash FROM parents WHERE channel_id == $channelId)
+  `, { $channelId: channelId }));
+
+  await storage.close();
+}
+
+main().catch((e) => {
+  console.error(e.stack);
+  process.exit(1);
+});
@@ -0,0 +1,165 @@
+import { Buffer } from 'buffer';
+
+// See "Channel archive format" in README.md
+export const MAGIC = Buffer.from('PLCA');
+export const VERSION = 1;
+
+export const FRAME_CHANNEL = 1;
+export const FRAME_MESSAGE = 2;
+export const FRAME_END = 3;
+export const FRAME_PRUNED = 4;
+
+function frame(type, payload) {
+  const header = Buffer.alloc(5);
+  header.writeUInt32BE(payload.length + 1, 0);
+  header[4] = type;
+  return Buffer.concat([ header, payload ]);
+}
+
+export function encodePreamble() {
+  return Buffer.concat([ MAGIC, Buffer.from([ VERSION ]) ]);
+}
+
+export function encodeChannel(channelId) {
+  return frame(FRAME_CHANNEL, channelId);
+}
+
+export function encodeMessage({ hash, height, parentHashes, blob }) {
+  if (hash.length > 0xff) {
+    throw new Error('Invalid hash');
+  }
+
+  const header = Buffer.alloc(1 + hash.length + 8);
+  let offset = 0;
+  header[offset++] = hash.length;
+  hash.copy(header, offset);
+  offset += hash.length;
+  header.writeUInt32BE(height, offset);
+  offset += 4;
+  header.writeUInt32BE(parentHashes.length, offset);
+
+  return frame(FRAME_MESSAGE, Buffer.concat([ header, parentHashes, blob ]));
+}
+
+export function encodePruned({ hash, height }) {
+  if (hash.length > 0xff) {
+    throw new Error('Invalid hash');
+  }
+
+  const payload = Buffer.alloc(1 + hash.length + 4);
+  payload[0] = hash.length;
+  hash.copy(payload, 1);
+  payload.writeUInt32BE(height, 1 + hash.length);
+  return frame(FRAME_PRUNED, payload);
+}
+
+export function encodeEnd(count) {
+  const payload = Buffer.alloc(4);
+  payload.writeUInt32BE(count, 0);
+  return frame(FRAME_END, payload);
+}
+
+function decodeMessage(payload) {
+  let offset = 0;
+  const hashLength = payload[offset++];
+  const hash = payload.slice(offset, offset + hashLength);
+  offset += hashLength;
+
+  if (offset + 8 > payload.length) {
+    throw new Error('Invalid message frame');
+  }
+  const height = payload.readUInt32BE(offset);
+  offset += 4;
+  const parentsLength = payload.readUInt32BE(offset);
+  offset += 4;
+
+  if (offset + parentsLength > payload.length) {
+    throw new Error('Invalid message frame');
+  }
+  const parentHashes = payload.slice(offset, offset + parentsLength);
+  offset += parentsLength;
+
+  return {
+    type: FRAME_MESSAGE,
+    hash,
+    height,
+    parentHashes,
+    blob: payload.slice(offset),
+  };
+}
+
+function decodePruned(payload) {
+  const hashLength = payload[0];
+  if (payload.length !== 1 + hashLength + 4) {
+    throw new Error('Invalid pruned frame');
+  }
+
+  return {
+    type: FRAME_PRUNED,
+    hash: payload.slice(1, 1 + hashLength),
+    height: payload.readUInt32BE(1 + hashLength),
+  };
+}
+
+/**
+ * Parse channel archive from a readable stream.
+ *
+ * NOTE: Incomplete trailing frame is ignored, truncated archives are detected
+ * by the absence of the end frame.
+ *
+ * @param {stream.Readable} readable
+ * @yields {Object} decoded frames
+ */
+export async function* decode(readable) {
+  let pending = Buffer.alloc(0);
+  let hasPreamble = false;
+
+  for await (const chunk of readable) {
+    pending = Buffer.concat([ pending, chunk ]);
+
+    if (!hasPreamble) {
+      if (pending.length < MAGIC.length + 1) {
+        continue;
+      }
+      if (!pending.slice(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('Not a channel archive');
+      }
+      const version = pending[MAGIC.length];
+      if (version !== VERSION) {
+        throw new Error(`Unsupported channel archive version ${version}`);
+      }
+
+      pending = pending.slice(MAGIC.length + 1);
+      hasPreamble = true;
+    }
+
+    while (pending.length >= 4) {
+      const length = pending.readUInt32BE(0);
+      if (length === 0) {
+        throw new Error('Invalid frame length');
+      }
+      if (pending.length < 4 + length) {
+        break;
+      }
+
+      const type = pending[4];
+      const payload = pending.slice(5, 4 + length);
+      pending = pending.slice(4 + length);
+
+      if (type === FRAME_CHANNEL) {
+        yield { type, channelId: payload };
+      } else if (type === FRAME_MESSAGE) {
+        yield decodeMessage(payload);
+      } else if (type === FRAME_PRUNED) {
+        yield decodePruned(payload);
+      } else if (type === FRAME_END) {
+        if (payload.length !== 4) {
+          throw new Error('Invalid end frame');
+        }
+        yield { type, count: payload.readUInt32BE(0) };
+      } else {
+        throw new Error(`Unknown frame type ${type}`);
+      }
+    }
+  }
+}
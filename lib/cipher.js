@@ -0,0 +1,63 @@
+import { Buffer } from 'buffer';
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 1;
+const IV_SIZE = 12;
+const TAG_SIZE = 16;
+const HEADER_SIZE = 1 + IV_SIZE + TAG_SIZE;
+
+export const KEY_SIZE = 32;
+
+export default class Cipher {
+  /**
+   * AES-256-GCM encryption of stored blobs.
+   *
+   * Encrypted blob layout: `version (1) | iv (12) | tag (16) | ciphertext`.
+   *
+   * @class
+   * @param {Buffer} key - 32 byte encryption key
+   */
+  constructor(key) {
+    if (!Buffer.isBuffer(key) || key.length !== KEY_SIZE) {
+      throw new Error(`Encryption key must be a ${KEY_SIZE} byte Buffer`);
+    }
+    this.key = key;
+  }
+
+  encrypt(plaintext) {
+    const iv = randomBytes(IV_SIZE);
+    const cipher = createCipheriv(ALGORITHM, this.key, iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(plaintext),
+      cipher.final(),
+    ]);
+
+    return Buffer.concat([
+      Buffer.from([ VERSION ]),
+      iv,
+      cipher.getAuthTag(),
+      ciphertext,
+    ]);
+  }
+
+  decrypt(data) {
+    if (data.length < HEADER_SIZE || data[0] !== VERSION) {
+      throw new Error('Invalid encrypted blob');
+    }
+
+    const iv = data.slice(1, 1 + IV_SIZE);
+    const tag = data.slice(1 + IV_SIZE, HEADER_SIZE);
+    const decipher = createDecipheriv(ALGORITHM, this.key, iv);
+    decipher.setAuthTag(tag);
+
+    try {
+      return Buffer.concat([
+        decipher.update(data.slice(HEADER_SIZE)),
+        decipher.final(),
+      ]);
+    } catch (e) {
+      throw new Error('Failed to decrypt blob, invalid encryption key?');
+    }
+  }
+}
@@ -0,0 +1,5 @@
+// The real limit is 999, but we want few extra
+export const MAX_VARIABLE_COUNT = 900;
+
+// Number of rows to process at once during maintenance
+export const BATCH_SIZE = 512;
@@ -0,0 +1,46 @@
+export class QuotaExceededError extends Error {
+  /**
+   * Thrown by `addMessage()` and `addMessages()` when storing the messages
+   * would exceed one of the configured quotas.
+   *
+   * @class
+   * @param {string} quota - name of the exceeded quota
+   * @param {number} limit - configured limit
+   * @param {number} usage - usage after storing the messages
+   * @param {Buffer} [channelId] - channel for per-channel quotas
+   */
+  constructor(quota, limit, usage, channelId = null) {
+    super(`Quota ${quota} exceeded: ${usage} > ${limit}`);
+
+    this.name = 'QuotaExceededError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.quota = quota;
+    this.limit = limit;
+    this.usage = usage;
+    this.channelId = channelId;
+  }
+}
+
+export class VersionConflictError extends Error {
+  /**
+   * Thrown by `storeEntityIfVersion()` when the stored version of the entity
+   * doesn't match the expected one.
+   *
+   * @class
+   * @param {string} prefix
+   * @param {string} id
+   * @param {number} expectedVersion
+   * @param {number} actualVersion - `0` if the entity doesn't exist
+   */
+  constructor(prefix, id, expectedVersion, actualVersion) {
+    super(`Version conflict for entity ${prefix}/${id}: expected ` +
+      `${expectedVersion}, found ${actualVersion}`);
+
+    this.name = 'VersionConflictError';
+    this.code = 'VERSION_CONFLICT';
+    this.prefix = prefix;
+    this.id = id;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
@@ -0,0 +1,437 @@
+import { createHash } from 'crypto';
+
+import { BATCH_SIZE, MAX_VARIABLE_COUNT } from './constants';
+
+// Version of the schema created by `SqliteStorage#createTables()`
+export const BASE_VERSION = 2;
+
+/**
+ * Each migration moves the database from `version - 1` to `version`.
+ *
+ * Regular migrations provide an `up(storage)` method that is invoked inside
+ * of a transaction. Migrations with `reset: true` drop all tables and
+ * recreate the schema from scratch, losing all stored data. Use them only when
+ * the old data cannot possibly be converted.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Incompatible protocol change, drop all data',
+    reset: true,
+  },
+  {
+    version: 3,
+    description: 'Add retention policies and pruned messages',
+    async up({ db }) {
+      await db.runAsync(`
+        CREATE TABLE retention(
+          channel_id BLOB,
+          max_count INT,
+          max_bytes INT,
+          min_height INT,
+          PRIMARY KEY(channel_id)
+        );
+      `);
+      await db.runAsync(`
+        CREATE TABLE pruned(
+          channel_id BLOB,
+          hash BLOB,
+          height INT,
+          PRIMARY KEY(hash ASC)
+        );
+      `);
+      await db.runAsync(`
+        CREATE INDEX pruned_crdt ON pruned(channel_id, height ASC, hash ASC);
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: 'Add change log',
+    async up({ db }) {
+      await db.runAsync(`
+        CREATE TABLE changes(
+          sequence INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT,
+          channel_id BLOB,
+          hash BLOB,
+          height INT,
+          prefix TEXT,
+          id TEXT
+        );
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: 'Add full-text search index',
+    async up({ db, options }) {
+      // Otherwise created once search is enabled, see `migrate()`
+      if (!options.extractText) {
+        return;
+      }
+
+      try {
+        await db.runAsync(`
+          CREATE VIRTUAL TABLE messages_fts USING fts5(
+            text,
+            channel_id UNINDEXED,
+            hash UNINDEXED
+          );
+        `);
+      } catch (e) {
+        if (/no such module/.test(e.message)) {
+          throw new Error('Full-text search requires SQLite with FTS5');
+        }
+        throw e;
+      }
+    },
+  },
+  {
+    version: 6,
+    description: 'Add per-channel storage usage',
+    async up({ db }) {
+      await db.runAsync(`
+        CREATE TABLE channel_usage(
+          channel_id BLOB,
+          message_count INT,
+          blob_bytes INT,
+          PRIMARY KEY(channel_id)
+        );
+      `);
+      await db.runAsync(`
+        INSERT INTO channel_usage (channel_id, message_count, blob_bytes)
+        SELECT channel_id, COUNT(*), SUM(LENGTH(blob)) FROM messages
+        GROUP BY channel_id
+      `);
+    },
+  },
+  {
+    version: 7,
+    description: 'Add parent-child edges',
+    async up(storage) {
+      const { db } = storage;
+      await db.runAsync(`
+        CREATE TABLE edges(
+          channel_id BLOB,
+          parent_hash BLOB,
+          child_hash BLOB,
+          PRIMARY KEY(channel_id, parent_hash, child_hash)
+        ) WITHOUT ROWID;
+      `);
+
+      let lastRowId = -1;
+      for (;;) {
+        const rows = await db.allAsync(`
+          SELECT rowid, channel_id, hash, parent_hashes FROM messages
+          WHERE rowid > $lastRowId
+          ORDER BY rowid ASC
+          LIMIT $limit
+        `, { $lastRowId: lastRowId, $limit: BATCH_SIZE });
+        if (rows.length === 0) {
+          break;
+        }
+
+        const edges = [];
+        for (const row of rows) {
+          for (const parentHash of storage.decodeHashList(row.parent_hashes)) {
+            edges.push([ row.channel_id, parentHash, row.hash ]);
+          }
+        }
+
+        const edgeRows = Math.floor(MAX_VARIABLE_COUNT / 3);
+        for (let offset = 0; offset < edges.length; offset += edgeRows) {
+          const partial = edges.slice(offset, offset + edgeRows);
+          await db.runAsync(`
+            INSERT OR IGNORE INTO edges (channel_id, parent_hash, child_hash)
+            VALUES ${partial.map(() => '(?, ?, ?)').join(', ')}
+          `, [].concat(...partial));
+        }
+        lastRowId = rows[rows.length - 1].rowid;
+      }
+    },
+  },
+  {
+    version: 8,
+    description: 'Add leaves',
+    async up({ db }) {
+      await db.runAsync(`
+        CREATE TABLE leaves(
+          channel_id BLOB,
+          hash BLOB,
+          PRIMARY KEY(channel_id, hash)
+        ) WITHOUT ROWID;
+      `);
+      await db.runAsync(`
+        INSERT INTO leaves (channel_id, hash)
+        SELECT channel_id, hash FROM messages
+        WHERE NOT EXISTS (SELECT 1 FROM parents
+          WHERE parents.channel_id == messages.channel_id AND
+            parents.hash == messages.hash)
+      `);
+    },
+  },
+  {
+    version: 9,
+    description: 'Add entity versions and history',
+    async up({ db }) {
+      await db.runAsync(`
+        ALTER TABLE entities ADD COLUMN version INT NOT NULL DEFAULT 1;
+      `);
+      await db.runAsync(`
+        CREATE TABLE entity_history(
+          prefix TEXT,
+          id TEXT,
+          version INT,
+          blob BLOB,
+          PRIMARY KEY(prefix, id, version)
+        );
+      `);
+    },
+  },
+  {
+    version: 10,
+    description: 'Add entity expiration',
+    async up({ db }) {
+      await db.runAsync(`
+        ALTER TABLE entities ADD COLUMN expires_at INT;
+      `);
+      await db.runAsync(`
+        CREATE INDEX entity_expiry ON entities(expires_at)
+        WHERE expires_at IS NOT NULL;
+      `);
+    },
+  },
+  {
+    version: 11,
+    description: 'Add blob compression flag',
+    async up({ db }) {
+      for (const table of [ 'messages', 'entities', 'entity_history' ]) {
+        await db.runAsync(`
+          ALTER TABLE ${table} ADD COLUMN compression INT NOT NULL DEFAULT 0;
+        `);
+      }
+    },
+  },
+  {
+    version: 12,
+    description: 'Use (channel_id, hash) keys for messages and parents',
+    async up({ db }) {
+      await db.runAsync(`
+        CREATE TABLE messages_new(
+          channel_id BLOB,
+          hash BLOB,
+          parent_hashes BLOB,
+          height INT,
+          blob BLOB,
+          compression INT NOT NULL DEFAULT 0,
+          PRIMARY KEY(channel_id, hash)
+        );
+      `);
+      await db.runAsync(`
+        INSERT INTO messages_new (rowid, channel_id, hash, parent_hashes,
+          height, blob, compression)
+        SELECT rowid, channel_id, hash, parent_hashes, height, blob,
+          compression
+        FROM messages
+      `);
+      await db.runAsync('DROP TABLE messages;');
+      await db.runAsync('ALTER TABLE messages_new RENAME TO messages;');
+      await db.runAsync(`
+        CREATE INDEX crdt ON messages(channel_id, height ASC, hash ASC);
+      `);
+
+      // Parents that were overwritten by other channels are restored from
+      // `edges`
+      await db.runAsync(`
+        CREATE TABLE parents_new(
+          channel_id BLOB,
+          hash BLOB,
+          PRIMARY KEY(channel_id, hash)
+        );
+      `);
+      await db.runAsync(`
+        INSERT OR IGNORE INTO parents_new (channel_id, hash)
+        SELECT channel_id, hash FROM parents
+        UNION
+        SELECT channel_id, parent_hash FROM edges
+      `);
+      await db.runAsync('DROP TABLE parents;');
+      await db.runAsync('ALTER TABLE parents_new RENAME TO parents;');
+
+      await db.runAsync(`
+        CREATE TABLE pruned_new(
+          channel_id BLOB,
+          hash BLOB,
+          height INT,
+          PRIMARY KEY(channel_id, hash)
+        );
+      `);
+      await db.runAsync(`
+        INSERT INTO pruned_new (channel_id, hash, height)
+        SELECT channel_id, hash, height FROM pruned
+      `);
+      await db.runAsync('DROP TABLE pruned;');
+      await db.runAsync('ALTER TABLE pruned_new RENAME TO pruned;');
+      await db.runAsync(`
+        CREATE INDEX pruned_crdt ON pruned(channel_id, height ASC, hash ASC);
+      `);
+
+      await db.runAsync('DELETE FROM leaves;');
+      await db.runAsync(`
+        INSERT INTO leaves (channel_id, hash)
+        SELECT channel_id, hash FROM messages
+        WHERE NOT EXISTS (SELECT 1 FROM parents
+          WHERE parents.channel_id == messages.channel_id AND
+            parents.hash == messages.hash)
+      `);
+    },
+  },
+  {
+    version: 13,
+    description: 'Add last insert time to channel usage',
+    async up({ db }) {
+      await db.runAsync(`
+        ALTER TABLE channel_usage ADD COLUMN last_insert_at INT;
+      `);
+    },
+  },
+  {
+    version: 14,
+    description: 'Add range fingerprints',
+    async up({ db }) {
+      await db.runAsync(`
+        CREATE TABLE fingerprints(
+          channel_id BLOB,
+          height INT,
+          count INT,
+          lane0 INT,
+          lane1 INT,
+          lane2 INT,
+          lane3 INT,
+          PRIMARY KEY(channel_id, height)
+        ) WITHOUT ROWID;
+      `);
+
+      // Pruned messages that were added again are counted only once
+      const sources = [
+        'messages',
+        `pruned WHERE NOT EXISTS (SELECT 1 FROM messages
+          WHERE messages.channel_id == pruned.channel_id AND
+            messages.hash == pruned.hash)`,
+      ];
+      for (const source of sources) {
+        let lastRowId = -1;
+        for (;;) {
+          const rows = await db.allAsync(`
+            SELECT rowid, channel_id, hash, height FROM (
+              SELECT rowid, channel_id, hash, height FROM ${source}
+            )
+            WHERE rowid > $lastRowId
+            ORDER BY rowid ASC
+            LIMIT $limit
+          `, { $lastRowId: lastRowId, $limit: BATCH_SIZE });
+          if (rows.length === 0) {
+            break;
+          }
+
+          // Lanes are the first 16 bytes of SHA-256 digest of the hash
+          const fingerprints = rows.map((row) => {
+            const digest = createHash('sha256').update(row.hash).digest();
+            return [
+              row.channel_id,
+              row.height,
+              digest.readUInt32BE(0),
+              digest.readUInt32BE(4),
+              digest.readUInt32BE(8),
+              digest.readUInt32BE(12),
+            ];
+          });
+
+          const rowCount = Math.floor(MAX_VARIABLE_COUNT / 6);
+          for (let offset = 0; offset < fingerprints.length;
+            offset += rowCount) {
+            const partial = fingerprints.slice(offset, offset + rowCount);
+            await db.runAsync(`
+              INSERT INTO fingerprints
+                (channel_id, height, count, lane0, lane1, lane2, lane3)
+              VALUES ${partial.map(() => '(?, ?, 1, ?, ?, ?, ?)').join(', ')}
+              ON CONFLICT (channel_id, height) DO UPDATE SET
+                count = count + excluded.count,
+                lane0 = (lane0 + excluded.lane0) % 4294967296,
+                lane1 = (lane1 + excluded.lane1) % 4294967296,
+                lane2 = (lane2 + excluded.lane2) % 4294967296,
+                lane3 = (lane3 + excluded.lane3) % 4294967296
+            `, [].concat(...partial));
+          }
+          lastRowId = rows[rows.length - 1].rowid;
+        }
+      }
+    },
+  },
+  {
+    version: 15,
+    description: 'Add read markers',
+    async up({ db }) {
+      await db.runAsync(`
+        CREATE TABLE read_markers(
+          channel_id BLOB,
+          hash BLOB,
+          height INT,
+          PRIMARY KEY(channel_id)
+        );
+      `);
+    },
+  },
+  {
+    version: 16,
+    description: 'Add local message metadata',
+    async up({ db }) {
+      await db.runAsync('ALTER TABLE messages ADD COLUMN received_at INT;');
+      await db.runAsync('ALTER TABLE messages ADD COLUMN source_peer BLOB;');
+      await db.runAsync(`
+        ALTER TABLE messages ADD COLUMN is_local INT NOT NULL DEFAULT 0;
+      `);
+      await db.runAsync(`
+        CREATE INDEX message_receive_time ON messages(channel_id, received_at);
+      `);
+    },
+  },
+  {
+    version: 17,
+    description: 'Add entity version counters',
+    async up({ db }) {
+      await db.runAsync(`
+        CREATE TABLE entity_versions(
+          prefix TEXT,
+          id TEXT,
+          version INT,
+          PRIMARY KEY(prefix, id)
+        ) WITHOUT ROWID;
+      `);
+      await db.runAsync(`
+        INSERT INTO entity_versions (prefix, id, version)
+        SELECT prefix, id, MAX(version) FROM (
+          SELECT prefix, id, version FROM entities
+          UNION ALL
+          SELECT prefix, id, version FROM entity_history
+        )
+        GROUP BY prefix, id
+      `);
+    },
+  },
+  {
+    version: 18,
+    description: 'Add encryption key check',
+    async up({ db }) {
+      // The row is inserted on the first `open()` after the migration
+      await db.runAsync('CREATE TABLE encryption(key_check BLOB);');
+    },
+  },
+];
+
+export default MIGRATIONS;
+
+export const CURRENT_VERSION = MIGRATIONS.reduce((max, migration) => {
+  return Math.max(max, migration.version);
+}, BASE_VERSION);
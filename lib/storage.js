@@ -1,37 +1,205 @@
 import sqlite from 'sqlite3';
+import { AsyncLocalStorage } from 'async_hooks';
 import { Buffer } from 'buffer';
+import { createHash } from 'crypto';
+import { EventEmitter, once } from 'events';
 import { promises as fs } from 'fs';
 import * as path from 'path';
 import * as os from 'os';
 import { promisify } from 'util';
+import * as zlib from 'zlib';
 
-// The real limit is 999, but we want few extra
-const MAX_VARIABLE_COUNT = 900;
+import * as archive from './archive';
+import Cipher from './cipher';
+import { BATCH_SIZE, MAX_VARIABLE_COUNT } from './constants';
+import { QuotaExceededError, VersionConflictError } from './errors';
+import MIGRATIONS, { BASE_VERSION, CURRENT_VERSION } from './migrations';
 
-const CURRENT_VERSION = 2;
+// Number of pages to copy at once during online backup
+const BACKUP_PAGES = 256;
 
-export default class SqliteStorage {
+// Maximum number of tokens in search result snippets
+const SNIPPET_TOKENS = 16;
+
+// How long to retry when the database is locked by another connection.
+// NOTE: Write transactions are started with `BEGIN IMMEDIATE` so that the
+// write lock is acquired (and retried) upfront instead of failing with
+// `SQLITE_BUSY` on the first write.
+const DEFAULT_BUSY_TIMEOUT = 5000;
+
+// Encrypted with the key and stored in `encryption` table to verify the key
+// on `open()`
+const KEY_CHECK = Buffer.from('peerlinks-sqlite-storage');
+
+// Condition for entities that are not expired, expects `$now` parameter
+const NOT_EXPIRED = '(expires_at IS NULL OR expires_at > $now)';
+
+// Values of `compression` column
+const COMPRESSION_NONE = 0;
+const COMPRESSION_ALGORITHMS = new Map([
+  [ 'deflate', 1 ],
+  [ 'brotli', 2 ],
+]);
+
+// Number of the latest changes kept for `changesSince()`
+const DEFAULT_CHANGE_LOG_SIZE = 10000;
+
+// Blobs smaller than this are not worth compressing
+const DEFAULT_COMPRESSION_THRESHOLD = 256;
+
+// Range fingerprints are sums of the first 16 bytes of SHA-256 digests of
+// message hashes, split into four 32-bit lanes to fit into SQLite integers
+const FINGERPRINT_LANES = 4;
+const FINGERPRINT_MODULUS = 2 ** 32;
+const FINGERPRINT_UPSERT = `
+  ON CONFLICT (channel_id, height) DO UPDATE SET
+    count = count + excluded.count,
+    lane0 = (lane0 + excluded.lane0) % ${FINGERPRINT_MODULUS},
+    lane1 = (lane1 + excluded.lane1) % ${FINGERPRINT_MODULUS},
+    lane2 = (lane2 + excluded.lane2) % ${FINGERPRINT_MODULUS},
+    lane3 = (lane3 + excluded.lane3) % ${FINGERPRINT_MODULUS}
+`;
+const FINGERPRINT_SUMS = `
+  COALESCE(SUM(count), 0) AS count,
+  COALESCE(SUM(lane0), 0) % ${FINGERPRINT_MODULUS} AS lane0,
+  COALESCE(SUM(lane1), 0) % ${FINGERPRINT_MODULUS} AS lane1,
+  COALESCE(SUM(lane2), 0) % ${FINGERPRINT_MODULUS} AS lane2,
+  COALESCE(SUM(lane3), 0) % ${FINGERPRINT_MODULUS} AS lane3
+`;
+
+const JOURNAL_MODES = [ 'delete', 'truncate', 'persist', 'memory', 'wal' ];
+const LOCKING_MODES = [ 'normal', 'exclusive' ];
+
+export { QuotaExceededError, VersionConflictError };
+
+// Number of open storages per resolved database path
+const openFiles = new Map();
+
+// Transaction object of the currently running `transaction()` callback
+const transactionContext = new AsyncLocalStorage();
+
+function* chunk(list, size) {
+  for (let offset = 0; offset < list.length; offset += size) {
+    yield list.slice(offset, offset + size);
+  }
+}
+
+function fingerprintLanes(hash) {
+  const digest = createHash('sha256').update(hash).digest();
+  const lanes = [];
+  for (let i = 0; i < FINGERPRINT_LANES; i++) {
+    lanes.push(digest.readUInt32BE(i * 4));
+  }
+  return lanes;
+}
+
+function fingerprintFromRow(row) {
+  const digest = Buffer.alloc(FINGERPRINT_LANES * 4);
+  for (let i = 0; i < FINGERPRINT_LANES; i++) {
+    digest.writeUInt32BE(row[`lane${i}`], i * 4);
+  }
+  return { count: row.count, digest };
+}
+
+export default class SqliteStorage extends EventEmitter {
   /**
    * In-memory persistence.
    *
+   * Emits `message`, `messagePruned`, `channelRemoved`, `entityStored`,
+   * `entityRemoved`, `readMarker` and `clear` events once the corresponding
+   * change is committed. See `changesSince()` for the shape of the event
+   * argument.
+   *
    * @class
+   * @param {Object} [options]
+   * @param {string} [options.file] - path to the database file
+   * @param {Buffer} [options.encryptionKey] - 32 byte key for encrypting blobs
+   * @param {Function} [options.deriveKey] - async function returning the
+   *   encryption key, invoked on `open()`
+   * @param {Function} [options.extractText] - (async) function returning the
+   *   searchable text of a message: `extractText(channelId, hash, blob)`.
+   *   Enables full-text search, which requires SQLite with FTS5. The index is
+   *   created (and filled) on the first start with this option.
+   * @param {string} [options.journalMode] - e.g. `'wal'`
+   * @param {string} [options.locking] - `'exclusive'` (default) or `'normal'`
+   *   to share the database with other processes
+   * @param {boolean} [options.readOnly] - open existing database for reading
+   *   only, no tables are created and no migrations are run
+   * @param {number} [options.busyTimeout] - milliseconds to retry for when
+   *   the database is locked
+   * @param {Object} [options.quota] - storage limits, exceeding them makes
+   *   `addMessage()` throw `QuotaExceededError`
+   * @param {number} [options.quota.channelMessages] - messages per channel
+   * @param {number} [options.quota.channelBytes] - blob bytes per channel
+   * @param {number} [options.quota.totalBytes] - blob bytes in all channels
+   * @param {number} [options.entityHistory] - number of previous versions to
+   *   keep for every entity, see `getEntityHistory()`
+   * @param {string} [options.compression] - `'deflate'` or `'brotli'` to
+   *   compress message and entity blobs before storing them
+   * @param {number} [options.compressionThreshold] - minimum size of the blob
+   *   to compress, in bytes
+   * @param {number} [options.changeLogSize] - number of the latest changes
+   *   kept for `changesSince()`, `10000` by default
    */
   constructor(options = {}) {
+    super();
+
     this.db = null;
     this.options = options;
+    this.cipher = null;
+    this.rotation = null;
+
+    // Whether `messages_fts` table exists
+    this.hasSearchIndex = false;
+
+    // Tail of the queue of write transactions
+    this.writeQueue = Promise.resolve();
+
+    // `{ changes, isFinished }` for objects passed to `transaction()` callback
+    this.transactionState = null;
+
+    // `{ tx, finished }` of the transaction between `BEGIN` and `COMMIT`
+    this.activeTransaction = null;
+
+    // Number of running queries made outside of transactions, and callbacks
+    // waiting for them to finish
+    this.readCount = 0;
+    this.readWaiters = [];
   }
 
   async open() {
+    const {
+      readOnly = false,
+      journalMode = null,
+      busyTimeout = DEFAULT_BUSY_TIMEOUT,
+    } = this.options;
+    const locking = readOnly ? 'normal' : this.options.locking || 'exclusive';
+
+    if (journalMode && !JOURNAL_MODES.includes(journalMode.toLowerCase())) {
+      throw new Error(`Unsupported journal mode ${journalMode}`);
+    }
+    if (!LOCKING_MODES.includes(locking.toLowerCase())) {
+      throw new Error(`Unsupported locking mode ${locking}`);
+    }
+    const { compression } = this.options;
+    if (compression && !COMPRESSION_ALGORITHMS.has(compression)) {
+      throw new Error(`Unsupported compression ${compression}`);
+    }
+
     let file;
     if (this.options.file) {
       file = this.options.file;
+    } else if (readOnly) {
+      throw new Error('`file` option is required in read-only mode');
     } else {
       const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'peerlinks-'));
       file = path.join(tmpDir, 'tmp.db');
     }
 
+    const mode = readOnly ? sqlite.OPEN_READONLY :
+      sqlite.OPEN_READWRITE | sqlite.OPEN_CREATE;
     this.db = await new Promise((resolve, reject) => {
-      const db = new sqlite.Database(file, (err) => {
+      const db = new sqlite.Database(file, mode, (err) => {
         if (err) {
           return reject(err);
         }
@@ -39,6 +207,9 @@ export default class SqliteStorage {
       });
     });
 
+    this.file = path.resolve(file);
+    openFiles.set(this.file, (openFiles.get(this.file) || 0) + 1);
+
     if (this.options.trace) {
       this.db.on('trace', (query) => {
         console.error(query);
@@ -57,26 +228,323 @@ export default class SqliteStorage {
       this.db[method + 'Async'] = promisify(this.db[method]);
     }
 
-    await this.createTables();
+    // See `read()`
+    for (const method of [ 'getAsync', 'allAsync' ]) {
+      const query = this.db[method];
+      this.db[method] = (...args) => {
+        return this.read(() => query.apply(this.db, args));
+      };
+    }
+
+    // Release the database (and its lock) if it can't be used
+    try {
+      let key = this.options.encryptionKey;
+      if (!key && this.options.deriveKey) {
+        key = await this.options.deriveKey();
+      }
+      this.cipher = key ? new Cipher(key) : null;
+
+      this.db.configure('busyTimeout', busyTimeout);
+
+      await this.db.runAsync(`PRAGMA locking_mode = ${locking.toUpperCase()};`);
+      if (journalMode && !readOnly) {
+        await this.db.runAsync(
+          `PRAGMA journal_mode = ${journalMode.toUpperCase()};`);
+      }
+
+      if (readOnly) {
+        const { user_version: version } =
+          await this.db.getAsync('PRAGMA user_version;');
+        if (version !== CURRENT_VERSION) {
+          throw new Error(`Can't open database version ${version} in ` +
+            'read-only mode');
+        }
+      } else if (this.options.migrate !== false) {
+        await this.migrate();
+      }
+
+      await this.checkEncryptionKey(readOnly);
+
+      const fts = await this.db.getAsync(`
+        SELECT 1 FROM sqlite_master WHERE name == 'messages_fts'
+      `);
+      this.hasSearchIndex = !!fts;
+    } catch (e) {
+      await this.close();
+      throw e;
+    }
+  }
+
+  async close() {
+    await this.db.closeAsync();
+
+    const count = openFiles.get(this.file) - 1;
+    if (count === 0) {
+      openFiles.delete(this.file);
+    } else {
+      openFiles.set(this.file, count);
+    }
+  }
+
+  /**
+   * Verify and open a snapshot created by `backup()`.
+   *
+   * The snapshot itself is never modified: it is copied over `options.file`
+   * (which must not be in use), or to a temporary file when `options.file`
+   * is not present.
+   *
+   * @param {string} snapshot - path to the snapshot
+   * @param {Object} [options] - options for the `SqliteStorage` constructor
+   * @returns {SqliteStorage} opened storage
+   */
+  static async restore(snapshot, options = {}) {
+    const db = await new Promise((resolve, reject) => {
+      const db = new sqlite.Database(snapshot, sqlite.OPEN_READONLY, (err) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve(db);
+      });
+    });
+
+    try {
+      const get = promisify(db.get.bind(db));
+      const all = promisify(db.all.bind(db));
+
+      const { user_version: version } = await get('PRAGMA user_version;');
+      if (version === 0 || version > CURRENT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${version}`);
+      }
+
+      const rows = await all('PRAGMA integrity_check;');
+      if (rows.length !== 1 || rows[0].integrity_check !== 'ok') {
+        const errors = rows.map((row) => row.integrity_check);
+        throw new Error('Snapshot integrity check failed: ' +
+          errors.join(', '));
+      }
+    } finally {
+      await promisify(db.close.bind(db))();
+    }
+
+    let file = options.file;
+    if (!file) {
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'peerlinks-'));
+      file = path.join(tmpDir, 'restored.db');
+    } else if (path.resolve(file) === path.resolve(snapshot)) {
+      throw new Error('Snapshot can not be restored over itself');
+    } else {
+      await SqliteStorage.checkUnused(file);
+    }
+
+    // Stale WAL would be replayed on top of the restored database
+    for (const suffix of [ '-wal', '-shm' ]) {
+      await fs.unlink(file + suffix).catch((err) => {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      });
+    }
+    await fs.copyFile(snapshot, file);
+
+    const storage = new SqliteStorage({ ...options, file });
+    await storage.open();
+    return storage;
+  }
+
+  // Throw if the database file is open by this process or locked by another
+  static async checkUnused(file) {
+    if (openFiles.has(path.resolve(file))) {
+      throw new Error(`Database ${file} is in use`);
+    }
+
+    const db = await new Promise((resolve, reject) => {
+      const db = new sqlite.Database(file, sqlite.OPEN_READWRITE, (err) => {
+        if (err && err.code === 'SQLITE_CANTOPEN') {
+          return resolve(null);
+        }
+        if (err) {
+          return reject(err);
+        }
+        resolve(db);
+      });
+    });
+    if (!db) {
+      return;
+    }
+
+    const run = promisify(db.run.bind(db));
+    try {
+      await run('BEGIN EXCLUSIVE TRANSACTION;');
+      await run('ROLLBACK TRANSACTION;');
+    } catch (e) {
+      if (e.code === 'SQLITE_BUSY') {
+        throw new Error(`Database ${file} is in use`);
+      }
+      throw e;
+    } finally {
+      await promisify(db.close.bind(db))();
+    }
+  }
+
+  /**
+   * Copy the database to `destination` while it is in use.
+   *
+   * @param {string} destination - path to the snapshot
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - invoked with
+   *   `{ remaining, pageCount }` after every step
+   */
+  async backup(destination, { onProgress } = {}) {
+    const backup = await new Promise((resolve, reject) => {
+      const backup = this.db.backup(destination, (err) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve(backup);
+      });
+    });
+
+    const step = (pages) => {
+      return new Promise((resolve, reject) => {
+        backup.step(pages, (err) => {
+          if (err) {
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+    };
+
+    try {
+      while (!backup.completed) {
+        await step(BACKUP_PAGES);
+        if (backup.failed) {
+          throw new Error('Backup failed');
+        }
 
-    await this.db.runAsync('PRAGMA locking_mode = EXCLUSIVE;');
+        if (onProgress) {
+          onProgress({
+            remaining: backup.remaining,
+            pageCount: backup.pageCount,
+          });
+        }
+      }
+    } finally {
+      backup.finish();
+    }
+  }
 
-    // For future migrations
+  /**
+   * Bring the database schema up to date.
+   *
+   * Every migration runs in its own transaction, a failing migration is rolled
+   * back and leaves the database at the last successfully applied version.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - only report pending migrations
+   * @param {Object[]} [options.migrations] - list of migrations to apply
+   * @returns {Object[]} list of applied (or pending) migrations
+   */
+  async migrate({ dryRun = false, migrations = MIGRATIONS } = {}) {
     const { user_version: lastVersion } =
       await this.db.getAsync('PRAGMA user_version;');
+    const { count: tableCount } = await this.db.getAsync(`
+      SELECT COUNT(*) AS count FROM sqlite_master WHERE type == 'table'
+    `);
+
+    const sorted = migrations.slice().sort((a, b) => a.version - b.version);
+    const latest = sorted.reduce((max, migration) => {
+      return Math.max(max, migration.version);
+    }, BASE_VERSION);
+
+    if (lastVersion > latest) {
+      throw new Error(`Database version ${lastVersion} is newer than ` +
+        `the supported version ${latest}`);
+    }
+
+    const pending = [];
+    let version = lastVersion;
+    if (tableCount === 0) {
+      pending.push({
+        version: BASE_VERSION,
+        description: 'Create tables',
+        reset: false,
+        apply: () => this.createTables(),
+      });
+      version = BASE_VERSION;
+    }
 
-    // Sadly, old messages and channels are not compatible with the new
-    // version of the protocol
-    if (lastVersion < CURRENT_VERSION) {
-      await this.clear();
+    for (const migration of sorted) {
+      if (migration.version <= version) {
+        continue;
+      }
+      if (!migration.reset && migration.version !== version + 1) {
+        throw new Error(`Missing migration from version ${version} to ` +
+          `version ${version + 1}`);
+      }
+
+      pending.push({
+        version: migration.version,
+        description: migration.description,
+        reset: !!migration.reset,
+        apply: migration.reset ?
+          () => this.resetSchema(migration.version, sorted) :
+          () => migration.up(this),
+      });
+      version = migration.version;
+    }
+
+    const result = pending.map(({ version, description, reset }) => {
+      return { version, description, reset };
+    });
+    if (dryRun) {
+      return result;
+    }
+
+    for (const step of pending) {
+      await this.transaction(async () => {
+        await step.apply();
+        await this.db.runAsync(`PRAGMA user_version = ${step.version};`);
+      });
+    }
+
+    // Search was enabled or disabled after the database was created
+    if (version === CURRENT_VERSION) {
+      const fts = await this.db.getAsync(`
+        SELECT 1 FROM sqlite_master WHERE name == 'messages_fts'
+      `);
+      if (this.options.extractText && !fts) {
+        await this.transaction(() => this.createSearchIndex());
+        this.hasSearchIndex = true;
+        await this.rebuildSearchIndex();
+      } else if (!this.options.extractText && fts) {
+        // New messages can't be indexed without `extractText`, so the index
+        // would be stale when search is enabled again
+        await this.transaction(async () => {
+          await this.db.runAsync('DROP TABLE messages_fts;');
+        });
+        this.hasSearchIndex = false;
+      }
     }
 
-    // For future migrations
-    await this.db.runAsync(`PRAGMA user_version = ${CURRENT_VERSION};`);
+    return result;
   }
 
-  async close() {
-    await this.db.close();
+  async createSearchIndex() {
+    try {
+      await this.db.runAsync(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+          text,
+          channel_id UNINDEXED,
+          hash UNINDEXED
+        );
+      `);
+    } catch (e) {
+      if (/no such module/.test(e.message)) {
+        throw new Error('Full-text search requires SQLite with FTS5');
+      }
+      throw e;
+    }
   }
 
   async createTables() {
@@ -129,39 +597,400 @@ export default class SqliteStorage {
     return await promise;
   }
 
+  //
+  // Transactions
+  //
+
+  /**
+   * Run `fn(tx)` within a single write transaction.
+   *
+   * `tx` has the same methods as the storage. Everything written through it
+   * is either committed or rolled back together, and the events are emitted
+   * only after the commit. Transactions (including the ones started by
+   * individual write methods) run one at a time in the order of the calls.
+   *
+   * Reads made outside of `fn` wait for the transaction to finish and never
+   * see its uncommitted writes. Write methods of the storage itself can't be
+   * called within `fn`, `tx` methods have to be used instead.
+   *
+   * @param {Function} fn - async function
+   * @returns {*} result of `fn`
+   */
+  async transaction(fn) {
+    if (this.transactionState) {
+      if (this.transactionState.isFinished) {
+        throw new Error('Transaction has already finished');
+      }
+
+      // Nested transactions are a part of the outer one
+      return await fn(this);
+    }
+
+    // It would wait for the running transaction, which waits for `fn`
+    if (this.isWithinTransaction()) {
+      throw new Error('Storage can not be written to within `transaction()` ' +
+        'callback, use the transaction object instead');
+    }
+
+    const tx = Object.create(this);
+    tx.transactionState = { changes: [], isFinished: false };
+
+    const run = async () => {
+      // Queries that started before the transaction must not see its writes
+      while (this.readCount !== 0) {
+        await new Promise((resolve) => this.readWaiters.push(resolve));
+      }
+
+      let finish;
+      this.activeTransaction = {
+        tx,
+        finished: new Promise((resolve) => {
+          finish = resolve;
+        }),
+      };
+
+      let result;
+      try {
+        await this.db.runAsync('BEGIN IMMEDIATE TRANSACTION;');
+        try {
+          result = await transactionContext.run(tx, () => fn(tx));
+          if (tx.transactionState.changes.length !== 0) {
+            await this.trimChangeLog();
+          }
+          await this.db.runAsync('COMMIT TRANSACTION;');
+        } catch (e) {
+          await this.db.runAsync('ROLLBACK TRANSACTION;');
+          throw e;
+        }
+      } finally {
+        tx.transactionState.isFinished = true;
+        this.activeTransaction = null;
+        finish();
+      }
+
+      this.emitChanges(tx.transactionState.changes);
+      return result;
+    };
+
+    const promise = this.writeQueue.then(run);
+    this.writeQueue = promise.catch(() => {});
+    return await promise;
+  }
+
+  // Run `query()` made by `db.getAsync()` or `db.allAsync()`. Queries outside
+  // of the running transaction wait for it to finish, and the next
+  // transaction waits for them.
+  async read(query) {
+    if (this.isWithinTransaction()) {
+      return await query();
+    }
+
+    while (this.activeTransaction) {
+      await this.activeTransaction.finished;
+    }
+
+    this.readCount++;
+    try {
+      return await query();
+    } finally {
+      this.readCount--;
+      if (this.readCount === 0) {
+        const waiters = this.readWaiters;
+        this.readWaiters = [];
+        for (const resolve of waiters) {
+          resolve();
+        }
+      }
+    }
+  }
+
+  // Whether the caller is (asynchronously) called by the callback of the
+  // running transaction
+  isWithinTransaction() {
+    const { activeTransaction } = this;
+    return !!activeTransaction &&
+      transactionContext.getStore() === activeTransaction.tx;
+  }
+
   //
   // Messages
   //
 
-  async addMessage(message) {
-    let promise;
-    this.db.serialize(() => {
-      this.db.run('BEGIN TRANSACTION;');
+  /**
+   * @param {Object} message
+   * @param {Object} [meta] - local metadata, kept from the first insertion
+   *   of the message
+   * @param {number} [meta.receivedAt] - defaults to `Date.now()`
+   * @param {Buffer} [meta.sourcePeer] - id of the peer that sent the message
+   * @param {boolean} [meta.isLocal] - `true` for messages authored locally
+   */
+  async addMessage(message, meta = {}) {
+    const [ text ] = await this.extractTexts([ message ]);
+    const params = this.encodeMessageMeta(meta);
 
-      this.db.run(`
-        REPLACE INTO messages (channel_id, hash, parent_hashes, height, blob)
-        VALUES ($channelId, $hash, $parentHashes, $height, $blob);
-      `, {
-        $channelId: message.channelId,
-        $hash: message.hash,
-        $parentHashes: this.encodeHashList(message.parents),
-        $height: message.height,
-        $blob: message.data,
-      });
+    await this.transaction(async (tx) => {
+      // NOTE: Encrypted within the transaction so that `rotateKey()` can't
+      // change the key in between
+      const { blob, compression } = this.encodeBlob(message.data);
 
-      for (const parentHash of message.parents) {
-        this.db.run(`
-          REPLACE INTO parents (channel_id, hash)
-          VALUES ($channelId, $hash)
+      if (this.options.quota) {
+        const existing = await this.db.getAsync(`
+          SELECT LENGTH(blob) AS size FROM messages
+          WHERE channel_id == $channelId AND hash == $hash
+        `, { $channelId: message.channelId, $hash: message.hash });
+
+        await tx.checkQuota([ {
+          channelId: message.channelId,
+          count: existing ? 0 : 1,
+          bytes: blob.length - (existing ? existing.size : 0),
+        } ]);
+      }
+
+      await tx.write((run, changes) => {
+        this.recordMessageChange(run, message, changes);
+        this.indexMessage(run, message, text);
+        this.recordUsage(run, message, blob);
+        this.recordFingerprint(run, message);
+        run(`
+          REPLACE INTO messages
+            (channel_id, hash, parent_hashes, height, blob, compression,
+              received_at, source_peer, is_local)
+          SELECT
+            $channelId, $hash, $parentHashes, $height, $blob, $compression,
+            COALESCE(existing.received_at, $receivedAt),
+            CASE WHEN existing.hash IS NULL
+              THEN $sourcePeer ELSE existing.source_peer END,
+            COALESCE(existing.is_local, $isLocal)
+          FROM (SELECT 1)
+          LEFT JOIN messages AS existing ON
+            existing.channel_id == $channelId AND existing.hash == $hash
+        `, {
+          ...params,
+          $channelId: message.channelId,
+          $hash: message.hash,
+          $parentHashes: this.encodeHashList(message.parents),
+          $height: message.height,
+          $blob: blob,
+          $compression: compression,
+        });
+
+        for (const parentHash of message.parents) {
+          run(`
+            REPLACE INTO parents (channel_id, hash)
+            VALUES ($channelId, $hash)
+          `, {
+            $channelId: message.channelId,
+            $hash: parentHash,
+          });
+          run(`
+            INSERT OR IGNORE INTO edges (channel_id, parent_hash, child_hash)
+            VALUES ($channelId, $parentHash, $hash)
+          `, {
+            $channelId: message.channelId,
+            $parentHash: parentHash,
+            $hash: message.hash,
+          });
+          run(`
+            DELETE FROM leaves
+            WHERE channel_id == $channelId AND hash == $hash
+          `, {
+            $channelId: message.channelId,
+            $hash: parentHash,
+          });
+        }
+
+        run(`
+          INSERT OR IGNORE INTO leaves (channel_id, hash)
+          SELECT $channelId, $hash
+          WHERE NOT EXISTS (SELECT 1 FROM parents
+            WHERE channel_id == $channelId AND hash == $hash)
         `, {
           $channelId: message.channelId,
-          $hash: parentHash,
+          $hash: message.hash,
+        });
+      });
+    });
+  }
+
+  /**
+   * Insert a batch of messages in a single transaction.
+   *
+   * @param {Object[]} messages
+   * @param {Object} [meta] - local metadata of all messages, see
+   *   `addMessage()`
+   * @returns {Object} `{ added, existing }` lists of message hashes
+   */
+  async addMessages(messages, meta = {}) {
+    const unique = new Map();
+    for (const message of messages) {
+      const key = `${message.channelId.toString('hex')}:` +
+        message.hash.toString('hex');
+      if (!unique.has(key)) {
+        unique.set(key, message);
+      }
+    }
+    messages = Array.from(unique.values());
+
+    const texts = await this.extractTexts(messages);
+    const { $receivedAt, $sourcePeer, $isLocal } = this.encodeMessageMeta(meta);
+
+    const channels = new Map();
+    const parents = new Map();
+    const edges = [];
+    for (const message of messages) {
+      const channelKey = message.channelId.toString('hex');
+      if (!channels.has(channelKey)) {
+        channels.set(channelKey, {
+          channelId: message.channelId,
+          hashes: [],
         });
       }
+      channels.get(channelKey).hashes.push(message.hash);
+
+      for (const parentHash of message.parents) {
+        parents.set(`${channelKey}:${parentHash.toString('hex')}`, {
+          channelId: message.channelId,
+          hash: parentHash,
+        });
+        edges.push([ message.channelId, parentHash, message.hash ]);
+      }
+    }
+
+    const existingQueries = [];
+    await this.transaction(async (tx) => {
+      // See `addMessage()`
+      const encoded = messages.map((message) => this.encodeBlob(message.data));
+      const blobs = encoded.map(({ blob }) => blob);
+
+      if (this.options.quota) {
+        const deltas = [];
+        for (const { channelId, hashes } of channels.values()) {
+          const stored = await this.getStoredHashes(channelId, hashes, false);
+
+          const delta = { channelId, count: 0, bytes: 0 };
+          for (const [ i, message ] of messages.entries()) {
+            if (message.channelId.equals(channelId) &&
+                !stored.has(message.hash.toString('hex'))) {
+              delta.count++;
+              delta.bytes += blobs[i].length;
+            }
+          }
+          deltas.push(delta);
+        }
+        await tx.checkQuota(deltas);
+      }
+
+      await tx.write((run, changes) => {
+        for (const { channelId, hashes } of channels.values()) {
+          for (const partialHashes of chunk(hashes, MAX_VARIABLE_COUNT - 1)) {
+            existingQueries.push(this.db.allAsync(`
+              SELECT channel_id, hash FROM messages
+              WHERE channel_id == ? AND
+                hash IN (${partialHashes.map(() => '?').join(', ')})
+            `, channelId, ...partialHashes));
+          }
+        }
+
+        for (const [ i, message ] of messages.entries()) {
+          this.recordMessageChange(run, message, changes);
+          this.indexMessage(run, message, texts[i]);
+          this.recordUsage(run, message, blobs[i], false);
+          this.recordFingerprint(run, message);
+        }
+
+        const entries = Array.from(messages.entries());
+        const messageRows = Math.floor(MAX_VARIABLE_COUNT / 9);
+        for (const partial of chunk(entries, messageRows)) {
+          const params = [];
+          for (const [ i, message ] of partial) {
+            params.push(
+              message.channelId,
+              message.hash,
+              this.encodeHashList(message.parents),
+              message.height,
+              encoded[i].blob,
+              encoded[i].compression,
+              $receivedAt,
+              $sourcePeer,
+              $isLocal);
+          }
+
+          const row = '(?, ?, ?, ?, ?, ?, ?, ?, ?)';
+          run(`
+            INSERT OR IGNORE INTO messages
+              (channel_id, hash, parent_hashes, height, blob, compression,
+                received_at, source_peer, is_local)
+            VALUES ${partial.map(() => row).join(', ')}
+          `, params);
+        }
+
+        const parentRows = Math.floor(MAX_VARIABLE_COUNT / 2);
+        for (const partial of chunk(Array.from(parents.values()), parentRows)) {
+          const params = [];
+          for (const { channelId, hash } of partial) {
+            params.push(channelId, hash);
+          }
+
+          run(`
+            REPLACE INTO parents (channel_id, hash)
+            VALUES ${partial.map(() => '(?, ?)').join(', ')}
+          `, params);
+        }
+
+        const edgeRows = Math.floor(MAX_VARIABLE_COUNT / 3);
+        for (const partial of chunk(edges, edgeRows)) {
+          run(`
+            INSERT OR IGNORE INTO edges (channel_id, parent_hash, child_hash)
+            VALUES ${partial.map(() => '(?, ?, ?)').join(', ')}
+          `, [].concat(...partial));
+        }
+
+        for (const { channelId, hashes } of channels.values()) {
+          for (const partialHashes of chunk(hashes, MAX_VARIABLE_COUNT - 1)) {
+            run(`
+              INSERT OR IGNORE INTO leaves (channel_id, hash)
+              SELECT channel_id, hash FROM messages
+              WHERE channel_id == ? AND
+                hash IN (${partialHashes.map(() => '?').join(', ')}) AND
+                NOT EXISTS (SELECT 1 FROM parents
+                  WHERE parents.channel_id == messages.channel_id AND
+                    parents.hash == messages.hash)
+            `, channelId, ...partialHashes);
+          }
+        }
 
-      promise = this.db.runAsync('COMMIT TRANSACTION;');
+        const leafRows = Math.floor(MAX_VARIABLE_COUNT / 2);
+        for (const partial of chunk(edges, leafRows)) {
+          const params = [];
+          for (const [ channelId, parentHash ] of partial) {
+            params.push(channelId, parentHash);
+          }
+
+          run(`
+            DELETE FROM leaves
+            WHERE (channel_id, hash) IN
+              (VALUES ${partial.map(() => '(?, ?)').join(', ')})
+          `, params);
+        }
+      });
     });
-    return await promise;
+
+    const existingRows = [].concat(...await Promise.all(existingQueries));
+
+    const existingKeys = new Set(existingRows.map((row) => {
+      return `${row.channel_id.toString('hex')}:${row.hash.toString('hex')}`;
+    }));
+
+    const added = [];
+    const existing = [];
+    for (const [ key, message ] of unique) {
+      if (existingKeys.has(key)) {
+        existing.push(message.hash);
+      } else {
+        added.push(message.hash);
+      }
+    }
+    return { added, existing };
   }
 
   async getMessageCount(channelId) {
@@ -173,56 +1002,242 @@ export default class SqliteStorage {
 
   async getLeafHashes(channelId) {
     const rows = await this.db.allAsync(`
-      SELECT hash FROM messages
-      WHERE messages.channel_id == $channelId AND
-        messages.hash NOT IN
-        (SELECT hash FROM parents WHERE channel_id == $channelId)
+      SELECT hash FROM leaves WHERE channel_id == $channelId
     `, { $channelId: channelId });
 
     return rows.map((row) => row.hash);
   }
 
+  // NOTE: Pruned messages are reported as present so that they won't be
+  // synchronized again.
   async hasMessage(channelId, hash) {
     const row = await this.db.getAsync(`
-      SELECT COUNT(*) AS count FROM messages
-      WHERE channel_id == $channelId AND hash == $hash
+      SELECT
+        (SELECT COUNT(*) FROM messages
+          WHERE channel_id == $channelId AND hash == $hash) +
+        (SELECT COUNT(*) FROM pruned
+          WHERE channel_id == $channelId AND hash == $hash) AS count
     `, { $channelId: channelId, $hash: hash });
     return row.count !== 0;
   }
 
-  async getMessage(channelId, hash) {
-    const row = await this.db.getAsync(`
-      SELECT blob FROM messages
-      WHERE channel_id == $channelId AND hash == $hash
+  /**
+   * Get hashes that are referenced as parents, but are not stored.
+   *
+   * @param {Buffer} channelId
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Buffer[]}
+   */
+  async getMissingHashes(channelId, { limit = -1 } = {}) {
+    const rows = await this.db.allAsync(`
+      SELECT hash FROM parents
+      WHERE channel_id == $channelId AND
+        NOT EXISTS (SELECT 1 FROM messages
+          WHERE messages.channel_id == $channelId AND
+            messages.hash == parents.hash) AND
+        NOT EXISTS (SELECT 1 FROM pruned
+          WHERE pruned.channel_id == $channelId AND
+            pruned.hash == parents.hash)
+      ORDER BY hash ASC
+      LIMIT $limit
+    `, { $channelId: channelId, $limit: limit });
+    return rows.map((row) => row.hash);
+  }
+
+  /**
+   * Get stored messages that reference parents returned by
+   * `getMissingHashes()`.
+   *
+   * @param {Buffer} channelId
+   * @returns {Object[]} list of `{ hash, missingParents }`
+   */
+  async getDanglingMessages(channelId) {
+    const rows = await this.db.allAsync(`
+      SELECT child_hash, parent_hash FROM edges
+      WHERE channel_id == $channelId AND
+        NOT EXISTS (SELECT 1 FROM messages
+          WHERE messages.channel_id == $channelId AND
+            messages.hash == edges.parent_hash) AND
+        NOT EXISTS (SELECT 1 FROM pruned
+          WHERE pruned.channel_id == $channelId AND
+            pruned.hash == edges.parent_hash)
+      ORDER BY child_hash ASC, parent_hash ASC
+    `, { $channelId: channelId });
+
+    const result = [];
+    for (const row of rows) {
+      const last = result[result.length - 1];
+      if (last && last.hash.equals(row.child_hash)) {
+        last.missingParents.push(row.parent_hash);
+      } else {
+        result.push({
+          hash: row.child_hash,
+          missingParents: [ row.parent_hash ],
+        });
+      }
+    }
+    return result;
+  }
+
+  async getMessage(channelId, hash) {
+    await this.waitForRotation();
+    const row = await this.db.getAsync(`
+      SELECT blob, compression FROM messages
+      WHERE channel_id == $channelId AND hash == $hash
     `, { $channelId: channelId, $hash: hash });
-    return row ? row.blob : undefined;
+    return row ? this.decodeBlob(row.blob, row.compression) : undefined;
   }
 
+  // NOTE: Blobs of unknown (and pruned) messages are `undefined`
   async getMessages(channelId, hashes) {
-    const result = new Array(hashes.length);
-    const order = Array.from(hashes.entries()).sort((a, b) => {
-      return Buffer.compare(a[1], b[1]);
-    }).map(([ index ]) => index);
+    const blobs = new Map();
+    for (const partialHashes of chunk(hashes, MAX_VARIABLE_COUNT - 1)) {
+      await this.waitForRotation();
+      const rows = await this.db.allAsync(`
+        SELECT hash, blob, compression FROM messages
+        WHERE channel_id == ? AND
+          hash IN (${partialHashes.map(() => '?').join(', ')})
+      `, channelId, ...partialHashes);
+
+      for (const row of rows) {
+        blobs.set(row.hash.toString('hex'),
+          this.decodeBlob(row.blob, row.compression));
+      }
+    }
 
-    let rows = [];
-    for (let offset = 0; offset < hashes.length; offset += MAX_VARIABLE_COUNT) {
-      const partialHashes = hashes.slice(offset, offset + MAX_VARIABLE_COUNT);
+    return hashes.map((hash) => blobs.get(hash.toString('hex')));
+  }
 
-      const partial = await this.db.allAsync(`
-        SELECT blob FROM messages
+  /**
+   * @param {Buffer} channelId
+   * @param {Buffer[]} hashes
+   * @returns {Array} list of `{ receivedAt, sourcePeer, isLocal }` in the
+   *   order of `hashes`, `null` for unknown messages. `receivedAt` is `null`
+   *   for messages stored before the metadata was tracked
+   */
+  async getMessageMeta(channelId, hashes) {
+    const meta = new Map();
+    for (const partialHashes of chunk(hashes, MAX_VARIABLE_COUNT - 1)) {
+      const rows = await this.db.allAsync(`
+        SELECT hash, received_at, source_peer, is_local FROM messages
         WHERE channel_id == ? AND
           hash IN (${partialHashes.map(() => '?').join(', ')})
-        ORDER BY hash
       `, channelId, ...partialHashes);
 
-      rows = rows.concat(partial);
+      for (const row of rows) {
+        meta.set(row.hash.toString('hex'), this.decodeMessageMeta(row));
+      }
     }
 
-    for (const [ i, target ] of order.entries()) {
-      result[target] = rows[i].blob;
+    return hashes.map((hash) => meta.get(hash.toString('hex')) || null);
+  }
+
+  /**
+   * @param {Buffer} channelId
+   * @param {number} since - timestamp, inclusive
+   * @param {number} [limit]
+   * @returns {Object[]} list of `{ hash, height, receivedAt, sourcePeer,
+   *   isLocal }` ordered by receive time
+   */
+  async queryByReceiveTime(channelId, since, limit = -1) {
+    const rows = await this.db.allAsync(`
+      SELECT hash, height, received_at, source_peer, is_local FROM messages
+      WHERE channel_id == $channelId AND received_at >= $since
+      ORDER BY received_at ASC, rowid ASC
+      LIMIT $limit
+    `, { $channelId: channelId, $since: since, $limit: limit });
+
+    return rows.map((row) => {
+      return {
+        hash: row.hash,
+        height: row.height,
+        ...this.decodeMessageMeta(row),
+      };
+    });
+  }
+
+  /**
+   * Iterate messages of the channel in CRDT order.
+   *
+   * Pagination is done with `(height, hash)` cursor instead of OFFSET, so
+   * that concurrently inserted messages don't shift the results. `from` is an
+   * exclusive `{ height, hash }` position to start after. When `hash` is
+   * omitted all messages at `height` are included.
+   *
+   * @param {Buffer} channelId
+   * @param {Object} [options]
+   * @param {Object} [options.from]
+   * @param {string} [options.direction] - `'forward'` or `'backward'`
+   * @param {number} [options.batchSize]
+   * @param {boolean} [options.includeBlobs]
+   * @yields {Object} `{ hash, height, parents, blob }`
+   */
+  async* iterateMessages(channelId, {
+    from = null,
+    direction = 'forward',
+    batchSize = BATCH_SIZE,
+    includeBlobs = true,
+  } = {}) {
+    if (direction !== 'forward' && direction !== 'backward') {
+      throw new Error(`Invalid iteration direction: ${direction}`);
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error('Batch size must be a positive integer');
     }
 
-    return result;
+    const isBackward = direction === 'backward';
+    const order = isBackward ? 'DESC' : 'ASC';
+    const cmp = isBackward ? '<' : '>';
+    const columns = includeBlobs ?
+      'hash, height, parent_hashes, blob, compression' :
+      'hash, height, parent_hashes';
+
+    let cursor = from;
+    for (;;) {
+      let command = `
+        SELECT ${columns} FROM messages
+        WHERE channel_id == $channelId
+      `;
+      const params = {
+        $channelId: channelId,
+        $limit: batchSize,
+      };
+
+      if (cursor && cursor.hash) {
+        command += `
+          AND (height ${cmp} $height OR
+            (height == $height AND hash ${cmp} $hash))
+        `;
+        params.$height = cursor.height;
+        params.$hash = cursor.hash;
+      } else if (cursor) {
+        command += ` AND height ${cmp}= $height`;
+        params.$height = cursor.height;
+      }
+      command += ` ORDER BY height ${order}, hash ${order} LIMIT $limit`;
+
+      await this.waitForRotation();
+      const rows = await this.db.allAsync(command, params);
+      for (const row of rows) {
+        const message = {
+          hash: row.hash,
+          height: row.height,
+          parents: this.decodeHashList(row.parent_hashes),
+        };
+        if (includeBlobs) {
+          message.blob = this.decodeBlob(row.blob, row.compression);
+        }
+        yield message;
+      }
+
+      if (rows.length < batchSize) {
+        break;
+      }
+
+      const last = rows[rows.length - 1];
+      cursor = { height: last.height, hash: last.hash };
+    }
   }
 
   async getHashesAtOffset(channelId, offset, limit) {
@@ -255,13 +1270,18 @@ export default class SqliteStorage {
 
     let rows;
     if (cursor.hash) {
-      // Find height of original message
+      // Find height of original message, it might have been pruned
       command = `
         SELECT messages.hash, messages.parent_hashes
-        FROM messages JOIN messages as original
+        FROM messages JOIN (
+          SELECT hash, height FROM messages
+          WHERE channel_id == $channelId AND hash == $hash
+          UNION ALL
+          SELECT hash, height FROM pruned
+          WHERE channel_id == $channelId AND hash == $hash
+          LIMIT 1
+        ) AS original
         WHERE messages.channel_id == $channelId AND
-          original.channel_id == messages.channel_id AND
-          original.hash == $hash AND
       `;
       params.$hash = cursor.hash;
 
@@ -289,7 +1309,10 @@ export default class SqliteStorage {
 
       params.$height = cursor.height;
       if (isBackward) {
-        throw new Error('Backwards query by height is not supported');
+        command += `
+          height < $height
+          ORDER BY height DESC, hash DESC
+        `;
       } else {
         command += `
           height >= $height
@@ -316,7 +1339,19 @@ export default class SqliteStorage {
     let forwardHash = null;
 
     if (isBackward) {
-      forwardHash = cursor.hash;
+      if (cursor.hash) {
+        forwardHash = cursor.hash;
+      } else {
+        // First message at or above the cursor height
+        const row = await this.db.getAsync(`
+          SELECT hash FROM messages
+          WHERE channel_id == $channelId AND height >= $height
+          ORDER BY height ASC, hash ASC
+          LIMIT 1
+        `, { $channelId: channelId, $height: cursor.height });
+        forwardHash = row ? row.hash : null;
+      }
+
       if (rows.length > limit) {
         abbreviatedMessages = abbreviatedMessages.slice(1);
         backwardHash = rows[0].hash;
@@ -336,82 +1371,2334 @@ export default class SqliteStorage {
     };
   }
 
+  /**
+   * Query messages with `fromHeight <= height < toHeight`.
+   *
+   * Result has the same shape as the result of `query()`. `forwardHash` is set
+   * only when more messages in the range didn't fit into the `limit`.
+   *
+   * @param {Buffer} channelId
+   * @param {Object} options
+   * @param {number} [options.fromHeight]
+   * @param {number} [options.toHeight]
+   * @param {number} options.limit
+   * @returns {Object} `{ abbreviatedMessages, backwardHash, forwardHash }`
+   */
+  async queryRange(channelId, { fromHeight = 0, toHeight = Infinity, limit }) {
+    limit = Math.max(0, limit);
+
+    const rows = await this.db.allAsync(`
+      SELECT hash, parent_hashes
+      FROM messages
+      WHERE channel_id == $channelId AND
+        height >= $fromHeight AND height < $toHeight
+      ORDER BY height ASC, hash ASC
+      LIMIT $limit
+    `, {
+      $channelId: channelId,
+      $fromHeight: fromHeight,
+      $toHeight: toHeight,
+      $limit: limit + 1,
+    });
+
+    let abbreviatedMessages = rows.map((row) => {
+      return {
+        hash: row.hash,
+        parents: this.decodeHashList(row.parent_hashes),
+      };
+    });
+    const backwardHash = rows.length > 0 ? rows[0].hash : null;
+    let forwardHash = null;
+    if (rows.length > limit) {
+      abbreviatedMessages = abbreviatedMessages.slice(0, -1);
+      forwardHash = rows[rows.length - 1].hash;
+    }
+
+    return {
+      abbreviatedMessages,
+      backwardHash,
+      forwardHash,
+    };
+  }
+
+  /**
+   * Compute fingerprint of the messages with
+   * `fromHeight <= height < toHeight`.
+   *
+   * Fingerprints don't depend on the order of insertion, so two peers with
+   * the same messages in the range get the same fingerprint. Pruned messages
+   * are included.
+   *
+   * @param {Buffer} channelId
+   * @param {number} fromHeight
+   * @param {number} toHeight
+   * @returns {Object} `{ count, digest }`
+   */
+  async getRangeFingerprint(channelId, fromHeight = 0, toHeight = Infinity) {
+    const row = await this.db.getAsync(`
+      SELECT ${FINGERPRINT_SUMS} FROM fingerprints
+      WHERE channel_id == $channelId AND
+        height >= $fromHeight AND height < $toHeight
+    `, {
+      $channelId: channelId,
+      $fromHeight: fromHeight,
+      $toHeight: toHeight,
+    });
+    return fingerprintFromRow(row);
+  }
+
+  /**
+   * Split the range into `parts` subranges of equal height and compute their
+   * fingerprints.
+   *
+   * @param {Buffer} channelId
+   * @param {number} fromHeight
+   * @param {number} toHeight - must be finite, so that peers split the range
+   *   the same way
+   * @param {number} parts
+   * @returns {Object[]} list of `{ fromHeight, toHeight, count, digest }`.
+   *   Empty subranges are included
+   */
+  async splitRangeFingerprints(channelId, fromHeight, toHeight, parts) {
+    if (!Number.isInteger(fromHeight) || !Number.isInteger(toHeight)) {
+      throw new Error('Range bounds must be integers');
+    }
+    if (!Number.isInteger(parts) || parts < 1) {
+      throw new Error('Number of parts must be a positive integer');
+    }
+
+    const step = Math.max(1, Math.ceil((toHeight - fromHeight) / parts));
+    const rows = await this.db.allAsync(`
+      SELECT (height - $fromHeight) / $step AS part, ${FINGERPRINT_SUMS}
+      FROM fingerprints
+      WHERE channel_id == $channelId AND
+        height >= $fromHeight AND height < $toHeight
+      GROUP BY part
+    `, {
+      $channelId: channelId,
+      $fromHeight: fromHeight,
+      $toHeight: toHeight,
+      $step: step,
+    });
+    const byPart = new Map(rows.map((row) => [ row.part, row ]));
+
+    const result = [];
+    for (let start = fromHeight; start < toHeight; start += step) {
+      const part = result.length;
+      const row = byPart.get(part) ||
+        { count: 0, lane0: 0, lane1: 0, lane2: 0, lane3: 0 };
+      result.push({
+        fromHeight: start,
+        toHeight: Math.min(toHeight, start + step),
+        ...fingerprintFromRow(row),
+      });
+    }
+    return result;
+  }
+
   async removeChannelMessages(channelId) {
-    let promise;
-    this.db.serialize(() => {
-      this.db.run('BEGIN TRANSACTION;');
-      this.db.run(`
+    await this.write((run, changes) => {
+      this.recordChange(run, { type: 'channelRemoved', channelId }, changes);
+      run(`
         DELETE FROM messages
         WHERE channel_id == $channelId
       `, { $channelId: channelId });
-      this.db.run(`
+      run(`
         DELETE FROM parents
         WHERE channel_id == $channelId
       `, { $channelId: channelId });
-      promise = this.db.runAsync('COMMIT TRANSACTION;');
+      run(`
+        DELETE FROM edges
+        WHERE channel_id == $channelId
+      `, { $channelId: channelId });
+      run(`
+        DELETE FROM leaves
+        WHERE channel_id == $channelId
+      `, { $channelId: channelId });
+      run(`
+        DELETE FROM pruned
+        WHERE channel_id == $channelId
+      `, { $channelId: channelId });
+      if (this.hasSearchIndex) {
+        run(`
+          DELETE FROM messages_fts
+          WHERE channel_id == $channelId
+        `, { $channelId: channelId });
+      }
+      run(`
+        DELETE FROM channel_usage
+        WHERE channel_id == $channelId
+      `, { $channelId: channelId });
+      run(`
+        DELETE FROM fingerprints
+        WHERE channel_id == $channelId
+      `, { $channelId: channelId });
+      run(`
+        DELETE FROM read_markers
+        WHERE channel_id == $channelId
+      `, { $channelId: channelId });
     });
-    await promise;
   }
 
-  //
-  // Entities (Identity, ChannelList, so on)
-  //
+  /**
+   * @param {Buffer} channelId
+   * @returns {Object} `{ messageCount, blobBytes, minHeight, maxHeight,
+   *   leafCount }`
+   */
+  async getChannelStats(channelId) {
+    const usage = await this.db.getAsync(`
+      SELECT message_count, blob_bytes FROM channel_usage
+      WHERE channel_id == $channelId
+    `, { $channelId: channelId });
+    const heights = await this.db.getAsync(`
+      SELECT MIN(height) AS min_height, MAX(height) AS max_height
+      FROM messages
+      WHERE channel_id == $channelId
+    `, { $channelId: channelId });
+    const leaves = await this.getLeafHashes(channelId);
 
-  async getEntityCount() {
-    const row = await this.db.getAsync(`
-      SELECT COUNT(*) AS count FROM entities
-    `);
-    return row.count;
+    return {
+      messageCount: usage ? usage.message_count : 0,
+      blobBytes: usage ? usage.blob_bytes : 0,
+      minHeight: heights.min_height,
+      maxHeight: heights.max_height,
+      leafCount: leaves.length,
+    };
   }
 
-  async storeEntity(prefix, id, blob) {
-    await this.db.runAsync(`
-      REPLACE INTO entities (prefix, id, blob)
-      VALUES ($prefix, $id, $blob);
-    `, { $prefix: prefix, $id: id, $blob: blob });
+  /**
+   * @returns {Buffer[]} ids of channels that have stored messages
+   */
+  async getChannelIds() {
+    const rows = await this.db.allAsync(`
+      SELECT channel_id FROM channel_usage
+      WHERE message_count > 0
+      ORDER BY channel_id ASC
+    `);
+    return rows.map((row) => row.channel_id);
   }
 
-  async retrieveEntity(prefix, id) {
-    const row = await this.db.getAsync(`
-      SELECT blob FROM entities
-      WHERE prefix == $prefix AND id == $id;
-    `, { $prefix: prefix, $id: id });
+  /**
+   * @returns {Object[]} list of `{ channelId, messageCount, maxHeight,
+   *   leaves, lastInsertAt }` for every channel that has stored messages.
+   *   `lastInsertAt` is `null` for channels that have not received messages
+   *   since the insert time was tracked
+   */
+  async getChannelSummaries() {
+    const rows = await this.db.allAsync(`
+      SELECT channel_id, message_count, last_insert_at,
+        (SELECT MAX(height) FROM messages
+          WHERE messages.channel_id == channel_usage.channel_id) AS max_height
+      FROM channel_usage
+      WHERE message_count > 0
+      ORDER BY channel_id ASC
+    `);
+
+    const leaves = new Map();
+    const leafRows = await this.db.allAsync(`
+      SELECT channel_id, hash FROM leaves
+    `);
+    for (const row of leafRows) {
+      const key = row.channel_id.toString('hex');
+      if (!leaves.has(key)) {
+        leaves.set(key, []);
+      }
+      leaves.get(key).push(row.hash);
+    }
 
-    return row ? row.blob : undefined;
+    return rows.map((row) => {
+      return {
+        channelId: row.channel_id,
+        messageCount: row.message_count,
+        maxHeight: row.max_height,
+        leaves: leaves.get(row.channel_id.toString('hex')) || [],
+        lastInsertAt: row.last_insert_at,
+      };
+    });
   }
 
-  async removeEntity(prefix, id) {
-    await this.db.runAsync(`
-      DELETE FROM entities
-      WHERE prefix == $prefix AND id == $id;
-    `, { $prefix: prefix, $id: id });
+  /**
+   * Find channels with stored messages that are not in `knownIds`.
+   *
+   * @param {Buffer[]} knownIds
+   * @returns {Buffer[]} ids of unknown channels, to be removed with
+   *   `removeChannelMessages()`
+   */
+  async findOrphanChannels(knownIds) {
+    const known = new Set(knownIds.map((id) => id.toString('hex')));
+    const channelIds = await this.getChannelIds();
+    return channelIds.filter((id) => !known.has(id.toString('hex')));
   }
 
-  async getEntityKeys(prefix) {
+  /**
+   * @returns {Object} `{ channels, messageBytes, entityCount, entityBytes,
+   *   fileSize, pageSize, freePages }` where `channels` is a list of
+   *   `{ channelId, messageCount, blobBytes }`
+   */
+  async getStorageStats() {
     const rows = await this.db.allAsync(`
-      SELECT id FROM entities
-      WHERE prefix == $prefix;
-    `, { $prefix: prefix });
+      SELECT channel_id, message_count, blob_bytes FROM channel_usage
+      ORDER BY blob_bytes DESC
+    `);
+    const channels = rows.map((row) => {
+      return {
+        channelId: row.channel_id,
+        messageCount: row.message_count,
+        blobBytes: row.blob_bytes,
+      };
+    });
 
-    return rows.map((row) => row.id);
+    const entities = await this.db.getAsync(`
+      SELECT COUNT(*) AS count, COALESCE(SUM(LENGTH(blob)), 0) AS bytes
+      FROM entities
+    `);
+    const { page_size: pageSize } = await this.db.getAsync(
+      'PRAGMA page_size;');
+    const { page_count: pageCount } = await this.db.getAsync(
+      'PRAGMA page_count;');
+    const { freelist_count: freePages } = await this.db.getAsync(
+      'PRAGMA freelist_count;');
+
+    return {
+      channels,
+      messageBytes: channels.reduce((sum, { blobBytes }) => {
+        return sum + blobBytes;
+      }, 0),
+      entityCount: entities.count,
+      entityBytes: entities.bytes,
+      fileSize: pageSize * pageCount,
+      pageSize,
+      freePages,
+    };
   }
 
   //
-  // Miscellaneous
+  // Read markers
   //
 
-  async clear() {
-    await Promise.all([
-      this.db.runAsync('DELETE FROM messages;'),
-      this.db.runAsync('DELETE FROM parents;'),
-      this.db.runAsync('DELETE FROM entities;'),
-    ]);
+  /**
+   * Mark all messages up to and including `hash` (in CRDT order) as read.
+   *
+   * The marker never moves backwards: it is left as is if it is already at
+   * or past `hash`.
+   *
+   * @param {Buffer} channelId
+   * @param {Buffer} hash - hash of stored or pruned message
+   * @returns {boolean} `true` if the marker has moved
+   */
+  async setReadMarker(channelId, hash) {
+    return await this.transaction(async (tx) => {
+      const message = await this.db.getAsync(`
+        SELECT height FROM messages
+        WHERE channel_id == $channelId AND hash == $hash
+        UNION ALL
+        SELECT height FROM pruned
+        WHERE channel_id == $channelId AND hash == $hash
+      `, { $channelId: channelId, $hash: hash });
+      if (!message) {
+        throw new Error('Unknown message');
+      }
+
+      const current = await this.getReadMarker(channelId);
+      if (current) {
+        const cmp = current.height - message.height ||
+          Buffer.compare(current.hash, hash);
+        if (cmp >= 0) {
+          return false;
+        }
+      }
+
+      await tx.write((run, changes) => {
+        this.recordChange(run, {
+          type: 'readMarker',
+          channelId,
+          hash,
+          height: message.height,
+        }, changes);
+        run(`
+          REPLACE INTO read_markers (channel_id, hash, height)
+          VALUES ($channelId, $hash, $height)
+        `, { $channelId: channelId, $hash: hash, $height: message.height });
+      });
+      return true;
+    });
+  }
+
+  /**
+   * @param {Buffer} channelId
+   * @returns {Object|null} `{ hash, height }`
+   */
+  async getReadMarker(channelId) {
+    const row = await this.db.getAsync(`
+      SELECT hash, height FROM read_markers WHERE channel_id == $channelId
+    `, { $channelId: channelId });
+    return row ? { hash: row.hash, height: row.height } : null;
+  }
+
+  /**
+   * @param {Buffer} channelId
+   * @returns {number} number of stored messages after the read marker in
+   *   CRDT order, or of all stored messages if there is no marker
+   */
+  async getUnreadCount(channelId) {
+    const marker = await this.getReadMarker(channelId);
+    if (!marker) {
+      return await this.getMessageCount(channelId);
+    }
+
+    const row = await this.db.getAsync(`
+      SELECT COUNT(*) AS count FROM messages
+      WHERE channel_id == $channelId AND
+        (height > $height OR (height == $height AND hash > $hash))
+    `, {
+      $channelId: channelId,
+      $height: marker.height,
+      $hash: marker.hash,
+    });
+    return row.count;
   }
 
   //
-  // Internal
+  // Channel archives
   //
 
+  /**
+   * Write messages of the channel to a stream in CRDT order. See
+   * "Channel archive format" in README.md.
+   *
+   * @param {Buffer} channelId
+   * @param {stream.Writable} writable
+   * @param {Object} [options]
+   * @param {Object} [options.after] - `{ height, hash }` of the last message
+   *   that was already imported, used for resuming interrupted transfers
+   * @param {boolean} [options.end] - end the stream once done (default: true)
+   * @returns {number} number of exported messages
+   */
+  async exportChannel(channelId, writable, { after = null, end = true } = {}) {
+    const write = async (data) => {
+      if (!writable.write(data)) {
+        await once(writable, 'drain');
+      }
+    };
+
+    await write(archive.encodePreamble());
+    await write(archive.encodeChannel(channelId));
+
+    // Pruned messages are parents of the oldest stored ones. Resumed
+    // transfers have received them already.
+    if (!after) {
+      let prunedCursor = null;
+      for (;;) {
+        let command = `
+          SELECT hash, height FROM pruned
+          WHERE channel_id == $channelId
+        `;
+        const params = {
+          $channelId: channelId,
+          $limit: BATCH_SIZE,
+        };
+
+        if (prunedCursor) {
+          command += `
+            AND (height > $height OR (height == $height AND hash > $hash))
+          `;
+          params.$height = prunedCursor.height;
+          params.$hash = prunedCursor.hash;
+        }
+        command += ' ORDER BY height ASC, hash ASC LIMIT $limit';
+
+        const rows = await this.db.allAsync(command, params);
+        if (rows.length === 0) {
+          break;
+        }
+
+        for (const row of rows) {
+          await write(archive.encodePruned(row));
+        }
+
+        const last = rows[rows.length - 1];
+        prunedCursor = { height: last.height, hash: last.hash };
+      }
+    }
+
+    let cursor = after;
+    let count = 0;
+    for (;;) {
+      let command = `
+        SELECT hash, height, parent_hashes, blob, compression FROM messages
+        WHERE channel_id == $channelId
+      `;
+      const params = {
+        $channelId: channelId,
+        $limit: BATCH_SIZE,
+      };
+
+      if (cursor) {
+        command += `
+          AND (height > $height OR (height == $height AND hash > $hash))
+        `;
+        params.$height = cursor.height;
+        params.$hash = cursor.hash;
+      }
+      command += ' ORDER BY height ASC, hash ASC LIMIT $limit';
+
+      await this.waitForRotation();
+      const rows = await this.db.allAsync(command, params);
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        await write(archive.encodeMessage({
+          hash: row.hash,
+          height: row.height,
+          parentHashes: row.parent_hashes,
+          blob: this.decodeBlob(row.blob, row.compression),
+        }));
+      }
+      count += rows.length;
+
+      const last = rows[rows.length - 1];
+      cursor = { height: last.height, hash: last.hash };
+    }
+
+    await write(archive.encodeEnd(count));
+    if (end) {
+      writable.end();
+    }
+    return count;
+  }
+
+  /**
+   * Import messages written by `exportChannel()`.
+   *
+   * Messages are committed in batches. When the transfer is interrupted the
+   * thrown error has a `last` property with `{ height, hash }` of the last
+   * imported message (or `null`). Pass it as the `after` option of
+   * `exportChannel()` to resume the transfer.
+   *
+   * @param {stream.Readable} readable
+   * @returns {Object} `{ channelId, added, existing, last }`
+   */
+  async importChannel(readable) {
+    let channelId = null;
+    let pruned = [];
+    let batch = [];
+    let count = 0;
+    let added = 0;
+    let existing = 0;
+    let last = null;
+
+    const flushPruned = async () => {
+      if (pruned.length === 0) {
+        return;
+      }
+
+      const entries = pruned;
+      pruned = [];
+      await this.write((run) => {
+        for (const { hash, height } of entries) {
+          this.recordFingerprint(run, { channelId, hash, height });
+          run(`
+            INSERT OR IGNORE INTO pruned (channel_id, hash, height)
+            SELECT $channelId, $hash, $height
+            WHERE NOT EXISTS (SELECT 1 FROM messages
+              WHERE channel_id == $channelId AND hash == $hash)
+          `, { $channelId: channelId, $hash: hash, $height: height });
+        }
+      });
+    };
+
+    const flush = async () => {
+      await flushPruned();
+      if (batch.length === 0) {
+        return;
+      }
+
+      // Parents must be either earlier in the archive or already stored
+      const seen = new Set();
+      const outside = new Map();
+      for (const message of batch) {
+        for (const parentHash of message.parents) {
+          const key = parentHash.toString('hex');
+          if (!seen.has(key)) {
+            outside.set(key, parentHash);
+          }
+        }
+        seen.add(message.hash.toString('hex'));
+      }
+
+      const stored = await this.getStoredHashes(channelId,
+        Array.from(outside.values()));
+      for (const key of outside.keys()) {
+        if (!stored.has(key)) {
+          throw new Error(`Missing parent ${key}`);
+        }
+      }
+
+      const result = await this.addMessages(batch);
+      added += result.added.length;
+      existing += result.existing.length;
+
+      const lastMessage = batch[batch.length - 1];
+      last = { height: lastMessage.height, hash: lastMessage.hash };
+      batch = [];
+    };
+
+    try {
+      for await (const frame of archive.decode(readable)) {
+        if (frame.type === archive.FRAME_CHANNEL) {
+          if (channelId) {
+            throw new Error('Duplicate channel frame');
+          }
+          channelId = frame.channelId;
+          continue;
+        }
+
+        if (!channelId) {
+          throw new Error('Missing channel frame');
+        }
+
+        if (frame.type === archive.FRAME_PRUNED) {
+          if (count !== 0) {
+            throw new Error('Unexpected pruned frame');
+          }
+          pruned.push(frame);
+          if (pruned.length >= BATCH_SIZE) {
+            await flushPruned();
+          }
+          continue;
+        }
+
+        if (frame.type === archive.FRAME_END) {
+          if (frame.count !== count) {
+            throw new Error(`Expected ${frame.count} messages, ` +
+              `got ${count}`);
+          }
+          await flush();
+          return { channelId, added, existing, last };
+        }
+
+        batch.push({
+          channelId,
+          hash: frame.hash,
+          height: frame.height,
+          parents: this.decodeHashList(frame.parentHashes),
+          data: frame.blob,
+        });
+        count++;
+
+        if (batch.length >= BATCH_SIZE) {
+          await flush();
+        }
+      }
+
+      // Keep what was received so far
+      await flush();
+      throw new Error('Truncated channel archive');
+    } catch (e) {
+      e.last = last;
+      throw e;
+    }
+  }
+
+  //
+  // Search
+  //
+
+  /**
+   * Search messages of the channel. Requires `extractText` option.
+   *
+   * @param {Buffer} channelId
+   * @param {string} queryString - FTS5 query
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @param {number} [options.cursor] - `cursor` of the previous page
+   * @returns {Object} `{ results, cursor }` where `results` is a list of
+   *   `{ hash, snippet }` ordered by relevance and `cursor` is `null` on the
+   *   last page
+   */
+  async searchMessages(channelId, queryString,
+    { limit = 20, cursor = null } = {}) {
+    if (!this.options.extractText) {
+      throw new Error('Full-text search requires `extractText` option');
+    }
+    if (!this.hasSearchIndex) {
+      throw new Error('Full-text search index is not available');
+    }
+
+    const offset = cursor || 0;
+    const rows = await this.db.allAsync(`
+      SELECT hash, snippet(messages_fts, 0, '[', ']', '...', $tokens) AS snippet
+      FROM messages_fts
+      WHERE messages_fts MATCH $query AND channel_id == $channelId
+      ORDER BY rank
+      LIMIT $limit OFFSET $offset
+    `, {
+      $tokens: SNIPPET_TOKENS,
+      $query: queryString,
+      $channelId: channelId,
+      $limit: limit + 1,
+      $offset: offset,
+    });
+
+    const results = rows.slice(0, limit).map((row) => {
+      return { hash: row.hash, snippet: row.snippet };
+    });
+    return {
+      results,
+      cursor: rows.length > limit ? offset + limit : null,
+    };
+  }
+
+  /**
+   * Rebuild the full-text search index from scratch, for example after
+   * changing `extractText` option.
+   */
+  async rebuildSearchIndex() {
+    if (!this.hasSearchIndex) {
+      return;
+    }
+
+    await this.transaction(async (tx) => {
+      await this.db.runAsync('DELETE FROM messages_fts;');
+
+      let lastRowId = -1;
+      for (;;) {
+        const rows = await this.db.allAsync(`
+          SELECT rowid, channel_id, hash, blob, compression FROM messages
+          WHERE rowid > $lastRowId
+          ORDER BY rowid ASC
+          LIMIT $limit
+        `, { $lastRowId: lastRowId, $limit: BATCH_SIZE });
+        if (rows.length === 0) {
+          break;
+        }
+
+        const messages = rows.map((row) => {
+          return {
+            channelId: row.channel_id,
+            hash: row.hash,
+            data: this.decodeBlob(row.blob, row.compression),
+          };
+        });
+        const texts = await this.extractTexts(messages);
+
+        await tx.write((run) => {
+          for (const [ i, message ] of messages.entries()) {
+            if (texts[i]) {
+              run(`
+                INSERT INTO messages_fts (text, channel_id, hash)
+                VALUES ($text, $channelId, $hash)
+              `, {
+                $text: texts[i],
+                $channelId: message.channelId,
+                $hash: message.hash,
+              });
+            }
+          }
+        });
+
+        lastRowId = rows[rows.length - 1].rowid;
+      }
+    });
+  }
+
+  //
+  // Retention
+  //
+
+  /**
+   * Set retention policy of the channel. Old messages are removed by `prune()`
+   * while the channel violates any of the limits. Leaves are never removed.
+   *
+   * @param {Buffer} channelId
+   * @param {Object|null} policy - `null` removes the policy
+   * @param {number} [policy.maxCount] - maximum number of messages
+   * @param {number} [policy.maxBytes] - maximum total size of message blobs
+   * @param {number} [policy.minHeight] - minimum height of messages to keep
+   */
+  async setRetentionPolicy(channelId, policy) {
+    await this.write((run) => {
+      if (!policy) {
+        run(`
+          DELETE FROM retention WHERE channel_id == $channelId
+        `, { $channelId: channelId });
+        return;
+      }
+
+      run(`
+        REPLACE INTO retention (channel_id, max_count, max_bytes, min_height)
+        VALUES ($channelId, $maxCount, $maxBytes, $minHeight)
+      `, {
+        $channelId: channelId,
+        $maxCount: policy.maxCount === undefined ? null : policy.maxCount,
+        $maxBytes: policy.maxBytes === undefined ? null : policy.maxBytes,
+        $minHeight: policy.minHeight === undefined ? null : policy.minHeight,
+      });
+    });
+  }
+
+  async getRetentionPolicy(channelId) {
+    const row = await this.db.getAsync(`
+      SELECT max_count, max_bytes, min_height FROM retention
+      WHERE channel_id == $channelId
+    `, { $channelId: channelId });
+    return row ? this.decodeRetentionPolicy(row) : undefined;
+  }
+
+  /**
+   * Remove messages that violate retention policies.
+   *
+   * Pruned messages are remembered so that they are still reported by
+   * `hasMessage()` and can be used as `query()` cursors.
+   *
+   * @param {Object} [options]
+   * @param {Buffer} [options.channelId] - prune only this channel
+   * @param {boolean} [options.dryRun] - only report what would be pruned
+   * @returns {Object[]} list of `{ channelId, hashes, bytes }`
+   */
+  async prune({ channelId = null, dryRun = false } = {}) {
+    let rows;
+    if (channelId) {
+      rows = await this.db.allAsync(`
+        SELECT channel_id, max_count, max_bytes, min_height FROM retention
+        WHERE channel_id == $channelId
+      `, { $channelId: channelId });
+    } else {
+      rows = await this.db.allAsync(`
+        SELECT channel_id, max_count, max_bytes, min_height FROM retention
+      `);
+    }
+
+    const report = [];
+    for (const row of rows) {
+      const policy = this.decodeRetentionPolicy(row);
+
+      let candidates;
+      if (dryRun) {
+        candidates = await this.getPruneCandidates(row.channel_id, policy);
+      } else {
+        candidates = await this.transaction(async (tx) => {
+          const candidates =
+            await tx.getPruneCandidates(row.channel_id, policy);
+          if (candidates.length !== 0) {
+            await tx.removePrunedMessages(row.channel_id, candidates);
+          }
+          return candidates;
+        });
+      }
+
+      report.push({
+        channelId: row.channel_id,
+        hashes: candidates.map(({ hash }) => hash),
+        bytes: candidates.reduce((sum, { size }) => sum + size, 0),
+      });
+    }
+    return report;
+  }
+
+  //
+  // Verification
+  //
+
+  /**
+   * Check consistency of the channel's message graph.
+   *
+   * @param {Buffer} channelId
+   * @returns {Object} report with `missingParents` (`{ hash, parent }`),
+   *   `heightViolations` (`{ hash, height, expected }`), `orphanParents` and
+   *   `unrecordedParents` (hashes with extra or missing rows in `parents`
+   *   table), `channelMismatches` (`{ hash, channelId }` of missing parents
+   *   that are stored under a different channel), `leafMismatches` (hashes
+   *   with extra or missing rows in `leaves` table), and `ok`
+   */
+  async verifyChannel(channelId) {
+    // Heights of all known messages, including pruned
+    const heights = new Map();
+    const pruned = new Set();
+    const prunedRows = await this.db.allAsync(`
+      SELECT hash, height FROM pruned WHERE channel_id == $channelId
+    `, { $channelId: channelId });
+    for (const row of prunedRows) {
+      const key = row.hash.toString('hex');
+      heights.set(key, row.height);
+      pruned.add(key);
+    }
+
+    const messages = [];
+    let cursor = null;
+    for (;;) {
+      let command = `
+        SELECT hash, height, parent_hashes FROM messages
+        WHERE channel_id == $channelId
+      `;
+      const params = {
+        $channelId: channelId,
+        $limit: BATCH_SIZE,
+      };
+      if (cursor) {
+        command += `
+          AND (height > $height OR (height == $height AND hash > $hash))
+        `;
+        params.$height = cursor.height;
+        params.$hash = cursor.hash;
+      }
+      command += ' ORDER BY height ASC, hash ASC LIMIT $limit';
+
+      const rows = await this.db.allAsync(command, params);
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        heights.set(row.hash.toString('hex'), row.height);
+        messages.push({
+          hash: row.hash,
+          height: row.height,
+          parents: this.decodeHashList(row.parent_hashes),
+        });
+      }
+
+      const last = rows[rows.length - 1];
+      cursor = { height: last.height, hash: last.hash };
+    }
+
+    const report = {
+      channelId,
+      messageCount: messages.length,
+      missingParents: [],
+      heightViolations: [],
+      orphanParents: [],
+      unrecordedParents: [],
+      channelMismatches: [],
+      leafMismatches: [],
+      ok: true,
+    };
+
+    const referenced = new Map();
+    for (const message of messages) {
+      let expected = 0;
+      let isComplete = true;
+      for (const parent of message.parents) {
+        const key = parent.toString('hex');
+        referenced.set(key, parent);
+
+        if (!heights.has(key)) {
+          report.missingParents.push({ hash: message.hash, parent });
+          isComplete = false;
+          continue;
+        }
+        expected = Math.max(expected, heights.get(key) + 1);
+      }
+
+      if (isComplete && message.height !== expected) {
+        report.heightViolations.push({
+          hash: message.hash,
+          height: message.height,
+          expected,
+        });
+      }
+    }
+
+    // Compare `parents` table with `parent_hashes`
+    const recorded = new Set();
+    const parentRows = await this.db.allAsync(`
+      SELECT hash FROM parents WHERE channel_id == $channelId
+    `, { $channelId: channelId });
+    for (const { hash } of parentRows) {
+      const key = hash.toString('hex');
+      recorded.add(key);
+
+      // NOTE: Children of pruned messages might be pruned too
+      if (!referenced.has(key) && !pruned.has(key)) {
+        report.orphanParents.push(hash);
+      }
+    }
+
+    for (const [ key, hash ] of referenced) {
+      if (!recorded.has(key)) {
+        report.unrecordedParents.push(hash);
+      }
+    }
+
+    // Missing parents that belong to other channels
+    const foreign = Array.from(referenced.values()).filter((hash) => {
+      return !heights.has(hash.toString('hex'));
+    });
+    for (const partialHashes of chunk(foreign, (MAX_VARIABLE_COUNT >> 1) - 1)) {
+      const list = partialHashes.map(() => '?').join(', ');
+      const rows = await this.db.allAsync(`
+        SELECT hash, channel_id FROM messages
+        WHERE channel_id != ? AND hash IN (${list})
+        UNION
+        SELECT hash, channel_id FROM pruned
+        WHERE channel_id != ? AND hash IN (${list})
+      `, channelId, ...partialHashes, channelId, ...partialHashes);
+
+      for (const row of rows) {
+        report.channelMismatches.push({
+          hash: row.hash,
+          channelId: row.channel_id,
+        });
+      }
+    }
+
+    // Compare `leaves` table with `parents` table
+    const leaves = new Set();
+    const leafRows = await this.db.allAsync(`
+      SELECT hash FROM leaves WHERE channel_id == $channelId
+    `, { $channelId: channelId });
+    for (const { hash } of leafRows) {
+      const key = hash.toString('hex');
+      leaves.add(key);
+      if (!heights.has(key) || pruned.has(key) || recorded.has(key)) {
+        report.leafMismatches.push(hash);
+      }
+    }
+    for (const message of messages) {
+      const key = message.hash.toString('hex');
+      if (!recorded.has(key) && !leaves.has(key)) {
+        report.leafMismatches.push(message.hash);
+      }
+    }
+
+    report.ok = report.missingParents.length === 0 &&
+      report.heightViolations.length === 0 &&
+      report.orphanParents.length === 0 &&
+      report.unrecordedParents.length === 0 &&
+      report.channelMismatches.length === 0 &&
+      report.leafMismatches.length === 0;
+    return report;
+  }
+
+  /**
+   * Check consistency of all channels and of the database file.
+   *
+   * @returns {Object} `{ channels, integrity, ok }` where `channels` is a list
+   *   of `verifyChannel()` reports and `integrity` is a list of
+   *   `PRAGMA integrity_check` results
+   */
+  async verifyAll() {
+    const integrity = await this.db.allAsync('PRAGMA integrity_check;');
+
+    const rows = await this.db.allAsync(`
+      SELECT DISTINCT channel_id FROM messages
+      UNION
+      SELECT DISTINCT channel_id FROM parents
+    `);
+
+    const channels = [];
+    for (const { channel_id: channelId } of rows) {
+      channels.push(await this.verifyChannel(channelId));
+    }
+
+    const integrityResults = integrity.map((row) => row.integrity_check);
+    return {
+      channels,
+      integrity: integrityResults,
+      ok: channels.every((report) => report.ok) &&
+        integrityResults.length === 1 && integrityResults[0] === 'ok',
+    };
+  }
+
+  /**
+   * Rebuild `parents`, `edges` and `leaves` tables from `parent_hashes` of
+   * stored messages.
+   *
+   * @param {Object} [options]
+   * @param {Buffer} [options.channelId] - repair only this channel
+   */
+  async repair({ channelId = null } = {}) {
+    await this.transaction(async () => {
+      if (channelId) {
+        await this.db.runAsync(`
+          DELETE FROM parents WHERE channel_id == $channelId
+        `, { $channelId: channelId });
+        await this.db.runAsync(`
+          DELETE FROM edges WHERE channel_id == $channelId
+        `, { $channelId: channelId });
+      } else {
+        await this.db.runAsync('DELETE FROM parents;');
+        await this.db.runAsync('DELETE FROM edges;');
+      }
+
+      let lastRowId = -1;
+      for (;;) {
+        let command = `
+          SELECT rowid, channel_id, hash, parent_hashes FROM messages
+          WHERE rowid > $lastRowId
+        `;
+        const params = { $lastRowId: lastRowId, $limit: BATCH_SIZE };
+        if (channelId) {
+          command += ' AND channel_id == $channelId';
+          params.$channelId = channelId;
+        }
+        command += ' ORDER BY rowid ASC LIMIT $limit';
+
+        const rows = await this.db.allAsync(command, params);
+        if (rows.length === 0) {
+          break;
+        }
+
+        const edges = [];
+        for (const row of rows) {
+          for (const parentHash of this.decodeHashList(row.parent_hashes)) {
+            edges.push([ row.channel_id, parentHash, row.hash ]);
+          }
+        }
+
+        const parentRows = Math.floor(MAX_VARIABLE_COUNT / 2);
+        for (const partial of chunk(edges, parentRows)) {
+          await this.db.runAsync(`
+            REPLACE INTO parents (channel_id, hash)
+            VALUES ${partial.map(() => '(?, ?)').join(', ')}
+          `, [].concat(...partial.map(([ id, parentHash ]) => {
+            return [ id, parentHash ];
+          })));
+        }
+
+        const edgeRows = Math.floor(MAX_VARIABLE_COUNT / 3);
+        for (const partial of chunk(edges, edgeRows)) {
+          await this.db.runAsync(`
+            INSERT OR IGNORE INTO edges (channel_id, parent_hash, child_hash)
+            VALUES ${partial.map(() => '(?, ?, ?)').join(', ')}
+          `, [].concat(...partial));
+        }
+        lastRowId = rows[rows.length - 1].rowid;
+      }
+
+      if (channelId) {
+        await this.db.runAsync(`
+          DELETE FROM leaves WHERE channel_id == $channelId
+        `, { $channelId: channelId });
+      } else {
+        await this.db.runAsync('DELETE FROM leaves;');
+      }
+      await this.db.runAsync(`
+        INSERT INTO leaves (channel_id, hash)
+        SELECT channel_id, hash FROM messages
+        WHERE ${channelId ? 'channel_id == $channelId AND' : ''}
+          NOT EXISTS (SELECT 1 FROM parents
+            WHERE parents.channel_id == messages.channel_id AND
+              parents.hash == messages.hash)
+      `, channelId ? { $channelId: channelId } : {});
+
+      await this.rebuildFingerprints(channelId);
+    });
+  }
+
+  //
+  // Entities (Identity, ChannelList, so on)
+  //
+
+  /**
+   * @param {string} [prefix] - count only entities with this prefix
+   * @returns {number}
+   */
+  async getEntityCount(prefix) {
+    const now = Date.now();
+    if (prefix === undefined) {
+      const row = await this.db.getAsync(`
+        SELECT COUNT(*) AS count FROM entities WHERE ${NOT_EXPIRED}
+      `, { $now: now });
+      return row.count;
+    }
+
+    const row = await this.db.getAsync(`
+      SELECT COUNT(*) AS count FROM entities
+      WHERE prefix == $prefix AND ${NOT_EXPIRED}
+    `, { $prefix: prefix, $now: now });
+    return row.count;
+  }
+
+  /**
+   * Store the entity and increment its version.
+   *
+   * Expired entities are treated as absent by all methods, and are removed
+   * from the database by `sweepExpired()`.
+   *
+   * @param {string} prefix
+   * @param {string} id
+   * @param {Buffer} blob
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - milliseconds until the entity expires
+   * @returns {number} new version of the entity
+   */
+  async storeEntity(prefix, id, blob, { ttl } = {}) {
+    return await this.transaction(async (tx) => {
+      await tx.write((run, changes) => {
+        this.writeEntity(run, prefix, id, blob, ttl, changes);
+      });
+
+      const { version } = await this.db.getAsync(`
+        SELECT version FROM entities
+        WHERE prefix == $prefix AND id == $id
+      `, { $prefix: prefix, $id: id });
+      return version;
+    });
+  }
+
+  /**
+   * Store the entity only if its current version is `expectedVersion`.
+   *
+   * @param {string} prefix
+   * @param {string} id
+   * @param {Buffer} blob
+   * @param {number} expectedVersion - `0` for entities that must not exist
+   * @param {Object} [options] - see `storeEntity()`
+   * @returns {number} new version of the entity
+   * @throws {VersionConflictError}
+   */
+  async storeEntityIfVersion(prefix, id, blob, expectedVersion, options) {
+    return await this.transaction(async (tx) => {
+      const row = await this.db.getAsync(`
+        SELECT version FROM entities
+        WHERE prefix == $prefix AND id == $id AND ${NOT_EXPIRED}
+      `, { $prefix: prefix, $id: id, $now: Date.now() });
+
+      const actualVersion = row ? row.version : 0;
+      if (actualVersion !== expectedVersion) {
+        throw new VersionConflictError(prefix, id, expectedVersion,
+          actualVersion);
+      }
+      return await tx.storeEntity(prefix, id, blob, options);
+    });
+  }
+
+  async retrieveEntity(prefix, id) {
+    await this.waitForRotation();
+    const row = await this.db.getAsync(`
+      SELECT blob, compression FROM entities
+      WHERE prefix == $prefix AND id == $id AND ${NOT_EXPIRED};
+    `, { $prefix: prefix, $id: id, $now: Date.now() });
+
+    return row ? this.decodeBlob(row.blob, row.compression) : undefined;
+  }
+
+  /**
+   * @param {string} prefix
+   * @param {string} id
+   * @returns {Object|undefined} `{ blob, version }`
+   */
+  async retrieveEntityWithVersion(prefix, id) {
+    await this.waitForRotation();
+    const row = await this.db.getAsync(`
+      SELECT blob, compression, version FROM entities
+      WHERE prefix == $prefix AND id == $id AND ${NOT_EXPIRED};
+    `, { $prefix: prefix, $id: id, $now: Date.now() });
+
+    if (!row) {
+      return undefined;
+    }
+    return {
+      blob: this.decodeBlob(row.blob, row.compression),
+      version: row.version,
+    };
+  }
+
+  /**
+   * Get previous versions of the entity, newest first. Only up to
+   * `entityHistory` (see constructor options) versions are kept.
+   *
+   * @param {string} prefix
+   * @param {string} id
+   * @returns {Object[]} list of `{ blob, version }`
+   */
+  async getEntityHistory(prefix, id) {
+    await this.waitForRotation();
+    const rows = await this.db.allAsync(`
+      SELECT blob, compression, version FROM entity_history
+      WHERE prefix == $prefix AND id == $id
+      ORDER BY version DESC
+    `, { $prefix: prefix, $id: id });
+
+    return rows.map((row) => {
+      return {
+        blob: this.decodeBlob(row.blob, row.compression),
+        version: row.version,
+      };
+    });
+  }
+
+  async removeEntity(prefix, id) {
+    await this.write((run, changes) => {
+      this.recordChange(run, { type: 'entityRemoved', prefix, id }, changes, `
+        EXISTS (SELECT 1 FROM entities WHERE prefix == $prefix AND id == $id)
+      `);
+      run(`
+        DELETE FROM entities
+        WHERE prefix == $prefix AND id == $id;
+      `, { $prefix: prefix, $id: id });
+      run(`
+        DELETE FROM entity_history
+        WHERE prefix == $prefix AND id == $id;
+      `, { $prefix: prefix, $id: id });
+    });
+  }
+
+  async getEntityKeys(prefix) {
+    const rows = await this.db.allAsync(`
+      SELECT id FROM entities
+      WHERE prefix == $prefix AND ${NOT_EXPIRED};
+    `, { $prefix: prefix, $now: Date.now() });
+
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * Retrieve multiple entities with the same prefix.
+   *
+   * @param {string} prefix
+   * @param {string[]} ids
+   * @returns {Array} blobs in the order of `ids`, `undefined` for missing
+   *   entities
+   */
+  async retrieveEntities(prefix, ids) {
+    await this.waitForRotation();
+    const now = Date.now();
+    const blobs = new Map();
+    for (const partialIds of chunk(ids, MAX_VARIABLE_COUNT - 2)) {
+      const rows = await this.db.allAsync(`
+        SELECT id, blob, compression FROM entities
+        WHERE prefix == ? AND
+          id IN (${partialIds.map(() => '?').join(', ')}) AND
+          (expires_at IS NULL OR expires_at > ?)
+      `, prefix, ...partialIds, now);
+
+      for (const row of rows) {
+        blobs.set(row.id, this.decodeBlob(row.blob, row.compression));
+      }
+    }
+
+    return ids.map((id) => blobs.get(id));
+  }
+
+  /**
+   * Store multiple entities with the same prefix in a single transaction.
+   *
+   * @param {string} prefix
+   * @param {Object[]} entries - list of `{ id, blob }`
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - see `storeEntity()`
+   */
+  async storeEntities(prefix, entries, { ttl } = {}) {
+    await this.write((run, changes) => {
+      for (const { id, blob } of entries) {
+        this.writeEntity(run, prefix, id, blob, ttl, changes);
+      }
+    });
+  }
+
+  /**
+   * Remove all entities with the prefix.
+   *
+   * @param {string} prefix
+   * @returns {number} number of removed entities
+   */
+  async removeEntityPrefix(prefix) {
+    return await this.transaction(async (tx) => {
+      const rows = await this.db.allAsync(`
+        SELECT id FROM entities WHERE prefix == $prefix AND ${NOT_EXPIRED}
+      `, { $prefix: prefix, $now: Date.now() });
+
+      await tx.write((run, changes) => {
+        for (const { id } of rows) {
+          this.recordChange(run, { type: 'entityRemoved', prefix, id },
+            changes);
+        }
+        run(`
+          DELETE FROM entities WHERE prefix == $prefix
+        `, { $prefix: prefix });
+        run(`
+          DELETE FROM entity_history WHERE prefix == $prefix
+        `, { $prefix: prefix });
+      });
+      return rows.length;
+    });
+  }
+
+  /**
+   * List entities with the prefix ordered by id.
+   *
+   * @param {string} prefix
+   * @param {Object} [options]
+   * @param {string} [options.after] - `cursor` of the previous page
+   * @param {number} [options.limit]
+   * @param {boolean} [options.includeBlobs]
+   * @returns {Object} `{ entities, cursor }` where `entities` is a list of
+   *   `{ id, version, blob }` and `cursor` is `null` on the last page
+   */
+  async listEntities(prefix, {
+    after = null,
+    limit = BATCH_SIZE,
+    includeBlobs = false,
+  } = {}) {
+    await this.waitForRotation();
+    let command = `
+      SELECT id, version${includeBlobs ? ', blob, compression' : ''}
+      FROM entities
+      WHERE prefix == $prefix AND ${NOT_EXPIRED}
+    `;
+    const params = { $prefix: prefix, $now: Date.now(), $limit: limit + 1 };
+    if (after !== null) {
+      command += ' AND id > $after';
+      params.$after = after;
+    }
+    command += ' ORDER BY id ASC LIMIT $limit';
+
+    const rows = await this.db.allAsync(command, params);
+    const page = rows.slice(0, limit);
+
+    const entities = page.map((row) => {
+      const entity = { id: row.id, version: row.version };
+      if (includeBlobs) {
+        entity.blob = this.decodeBlob(row.blob, row.compression);
+      }
+      return entity;
+    });
+
+    return {
+      entities,
+      cursor: rows.length > limit ? page[page.length - 1].id : null,
+    };
+  }
+
+  /**
+   * Remove expired entities.
+   *
+   * @returns {number} number of removed entities
+   */
+  async sweepExpired() {
+    return await this.transaction(async (tx) => {
+      const now = Date.now();
+      const rows = await this.db.allAsync(`
+        SELECT prefix, id FROM entities WHERE expires_at <= $now
+      `, { $now: now });
+      if (rows.length === 0) {
+        return 0;
+      }
+
+      await tx.write((run, changes) => {
+        for (const { prefix, id } of rows) {
+          this.recordChange(run, { type: 'entityRemoved', prefix, id },
+            changes);
+          run(`
+            DELETE FROM entity_history
+            WHERE prefix == $prefix AND id == $id
+          `, { $prefix: prefix, $id: id });
+        }
+        run(`
+          DELETE FROM entities WHERE expires_at <= $now
+        `, { $now: now });
+      });
+      return rows.length;
+    });
+  }
+
+  //
+  // Change log
+  //
+
+  /**
+   * Get committed changes with sequence number greater than `sequence`.
+   *
+   * @param {number} sequence - last seen sequence number, or `0`
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Object[]} list of `{ sequence, type, ... }`, where the rest of
+   *   the properties are `channelId`, `hash`, `height` for added and pruned
+   *   messages, and `prefix`, `id` for entities. Only the latest
+   *   `changeLogSize` changes are kept.
+   */
+  async changesSince(sequence, { limit = BATCH_SIZE } = {}) {
+    const rows = await this.db.allAsync(`
+      SELECT sequence, type, channel_id, hash, height, prefix, id
+      FROM changes
+      WHERE sequence > $sequence
+      ORDER BY sequence ASC
+      LIMIT $limit
+    `, { $sequence: sequence, $limit: limit });
+
+    return rows.map((row) => {
+      const change = { sequence: row.sequence, type: row.type };
+      if (row.channel_id !== null) {
+        change.channelId = row.channel_id;
+      }
+      if (row.hash !== null) {
+        change.hash = row.hash;
+        change.height = row.height;
+      }
+      if (row.prefix !== null) {
+        change.prefix = row.prefix;
+        change.id = row.id;
+      }
+      return change;
+    });
+  }
+
+  /**
+   * Remove changes that are no longer needed from the change log.
+   *
+   * @param {number} sequence - remove changes up to this sequence number
+   */
+  async removeChangesUntil(sequence) {
+    await this.write((run) => {
+      run(`
+        DELETE FROM changes WHERE sequence <= $sequence
+      `, { $sequence: sequence });
+    });
+  }
+
+  async trimChangeLog() {
+    const { changeLogSize = DEFAULT_CHANGE_LOG_SIZE } = this.options;
+    await this.db.runAsync(`
+      DELETE FROM changes
+      WHERE sequence <= (SELECT MAX(sequence) FROM changes) - $size
+    `, { $size: changeLogSize });
+  }
+
+  //
+  // Miscellaneous
+  //
+
+  async clear() {
+    await this.write((run, changes) => {
+      run('DELETE FROM messages;');
+      run('DELETE FROM parents;');
+      run('DELETE FROM edges;');
+      run('DELETE FROM leaves;');
+      run('DELETE FROM entities;');
+      run('DELETE FROM entity_history;');
+      // NOTE: `entity_versions` is kept so that versions are never reused
+      run('DELETE FROM retention;');
+      run('DELETE FROM pruned;');
+      run('DELETE FROM changes;');
+      if (this.hasSearchIndex) {
+        run('DELETE FROM messages_fts;');
+      }
+      run('DELETE FROM channel_usage;');
+      run('DELETE FROM fingerprints;');
+      run('DELETE FROM read_markers;');
+      this.recordChange(run, { type: 'clear' }, changes);
+    });
+  }
+
+  /**
+   * Re-encrypt all stored blobs with a new key.
+   *
+   * Reads of blobs wait until the rotation is finished, writes started
+   * during the rotation use the new key.
+   *
+   * @param {Buffer|null} newKey - new encryption key, or `null` to store blobs
+   *   in plaintext
+   */
+  async rotateKey(newKey) {
+    if (this.transactionState) {
+      throw new Error('Key can not be rotated within a transaction');
+    }
+
+    const cipher = newKey ? new Cipher(newKey) : null;
+
+    // Reads wait for the rotation, because rows are re-encrypted one by one.
+    // Writes encrypt their blobs within the transaction and thus use the new
+    // key once the rotation is committed.
+    const previous = this.cipher;
+    const rotation = this.transaction(async () => {
+      for (const table of [ 'messages', 'entities', 'entity_history' ]) {
+        let lastRowId = -1;
+        for (;;) {
+          const rows = await this.db.allAsync(`
+            SELECT rowid, blob FROM ${table}
+            WHERE rowid > $lastRowId
+            ORDER BY rowid ASC
+            LIMIT $limit
+          `, { $lastRowId: lastRowId, $limit: BATCH_SIZE });
+          if (rows.length === 0) {
+            break;
+          }
+
+          for (const row of rows) {
+            let blob = this.decryptBlob(row.blob);
+            if (cipher) {
+              blob = cipher.encrypt(blob);
+            }
+
+            await this.db.runAsync(`
+              UPDATE ${table} SET blob = $blob WHERE rowid == $rowId
+            `, { $blob: blob, $rowId: row.rowid });
+          }
+          lastRowId = rows[rows.length - 1].rowid;
+        }
+      }
+
+      // Encryption changes sizes of the blobs
+      await this.rebuildChannelUsage();
+      await this.storeKeyCheck(cipher);
+
+      // Switched before the commit so that the next queued write uses it
+      this.cipher = cipher;
+    }).catch((e) => {
+      this.cipher = previous;
+      throw e;
+    });
+
+    const guard = rotation.catch(() => {});
+    this.rotation = guard;
+    try {
+      await rotation;
+    } finally {
+      if (this.rotation === guard) {
+        this.rotation = null;
+      }
+    }
+  }
+
+  // NOTE: Transactions hold the write queue, so the rotation can't be running
+  async waitForRotation() {
+    while (this.rotation && !this.transactionState) {
+      await this.rotation;
+    }
+  }
+
+  /**
+   * Compress or decompress stored blobs according to the current
+   * `compression` and `compressionThreshold` options.
+   *
+   * @returns {number} number of rewritten blobs
+   */
+  async recompress() {
+    return await this.transaction(async () => {
+      let count = 0;
+      for (const table of [ 'messages', 'entities', 'entity_history' ]) {
+        let lastRowId = -1;
+        for (;;) {
+          const rows = await this.db.allAsync(`
+            SELECT rowid, blob, compression FROM ${table}
+            WHERE rowid > $lastRowId
+            ORDER BY rowid ASC
+            LIMIT $limit
+          `, { $lastRowId: lastRowId, $limit: BATCH_SIZE });
+          if (rows.length === 0) {
+            break;
+          }
+
+          for (const row of rows) {
+            const data = this.decodeBlob(row.blob, row.compression);
+            const { blob, compression } = this.encodeBlob(data);
+            if (compression === row.compression) {
+              continue;
+            }
+
+            await this.db.runAsync(`
+              UPDATE ${table} SET blob = $blob, compression = $compression
+              WHERE rowid == $rowId
+            `, { $blob: blob, $compression: compression, $rowId: row.rowid });
+            count++;
+          }
+          lastRowId = rows[rows.length - 1].rowid;
+        }
+      }
+
+      // Compression changes sizes of the blobs
+      await this.rebuildChannelUsage();
+      return count;
+    });
+  }
+
+  //
+  // Internal
+  //
+
+  async getStoredHashes(channelId, hashes, includePruned = true) {
+    const result = new Set();
+    for (const partialHashes of chunk(hashes, (MAX_VARIABLE_COUNT >> 1) - 1)) {
+      const list = partialHashes.map(() => '?').join(', ');
+
+      let rows;
+      if (includePruned) {
+        rows = await this.db.allAsync(`
+          SELECT hash FROM messages
+          WHERE channel_id == ? AND hash IN (${list})
+          UNION ALL
+          SELECT hash FROM pruned
+          WHERE channel_id == ? AND hash IN (${list})
+        `, channelId, ...partialHashes, channelId, ...partialHashes);
+      } else {
+        rows = await this.db.allAsync(`
+          SELECT hash FROM messages
+          WHERE channel_id == ? AND hash IN (${list})
+        `, channelId, ...partialHashes);
+      }
+
+      for (const row of rows) {
+        result.add(row.hash.toString('hex'));
+      }
+    }
+    return result;
+  }
+
+  recordChange(run, change, changes, condition = '1') {
+    const params = {
+      $type: change.type,
+      $channelId: change.channelId === undefined ? null : change.channelId,
+      $hash: change.hash === undefined ? null : change.hash,
+      $height: change.height === undefined ? null : change.height,
+      $prefix: change.prefix === undefined ? null : change.prefix,
+      $id: change.id === undefined ? null : change.id,
+    };
+
+    run(`
+      INSERT INTO changes (type, channel_id, hash, height, prefix, id)
+      SELECT $type, $channelId, $hash, $height, $prefix, $id
+      WHERE ${condition}
+    `, params, function(err) {
+      if (err || this.changes === 0) {
+        return;
+      }
+      changes.push({ sequence: this.lastID, ...change });
+    });
+  }
+
+  encodeMessageMeta({ receivedAt, sourcePeer, isLocal = false }) {
+    return {
+      $receivedAt: receivedAt === undefined ? Date.now() : receivedAt,
+      $sourcePeer: sourcePeer || null,
+      $isLocal: isLocal ? 1 : 0,
+    };
+  }
+
+  decodeMessageMeta(row) {
+    return {
+      receivedAt: row.received_at,
+      sourcePeer: row.source_peer,
+      isLocal: row.is_local === 1,
+    };
+  }
+
+  recordMessageChange(run, message, changes) {
+    this.recordChange(run, {
+      type: 'message',
+      channelId: message.channelId,
+      hash: message.hash,
+      height: message.height,
+    }, changes, `
+      NOT EXISTS (SELECT 1 FROM messages
+        WHERE channel_id == $channelId AND hash == $hash)
+    `);
+  }
+
+  async extractTexts(messages) {
+    const { extractText } = this.options;
+    if (!extractText) {
+      return messages.map(() => null);
+    }
+
+    return await Promise.all(messages.map((message) => {
+      return extractText(message.channelId, message.hash, message.data);
+    }));
+  }
+
+  indexMessage(run, message, text) {
+    if (!text || !this.hasSearchIndex) {
+      return;
+    }
+
+    run(`
+      INSERT INTO messages_fts (text, channel_id, hash)
+      SELECT $text, $channelId, $hash
+      WHERE NOT EXISTS (SELECT 1 FROM messages
+        WHERE channel_id == $channelId AND hash == $hash)
+    `, {
+      $text: text,
+      $channelId: message.channelId,
+      $hash: message.hash,
+    });
+  }
+
+  // Run statements queued by `fn(run, changes)` in order as a part of the
+  // current (or a new) transaction. `run(sql, ...params)` queues a statement,
+  // errors of queued statements roll back all of them. Helpers that check
+  // whether the message (or entity) exists have to be queued before it is
+  // inserted.
+  async write(fn) {
+    return await this.transaction(async (tx) => {
+      const { db } = this;
+      const { changes } = tx.transactionState;
+      const changeCount = changes.length;
+
+      const errors = [];
+      let isQueueing = true;
+      const run = (sql, ...params) => {
+        if (!isQueueing) {
+          throw new Error('Statements can only be queued synchronously ' +
+            'within `write()`');
+        }
+
+        let callback = null;
+        if (typeof params[params.length - 1] === 'function') {
+          callback = params.pop();
+        }
+        db.run(sql, ...params, function(err) {
+          if (err) {
+            errors.push(err);
+          }
+          if (callback) {
+            callback.call(this, err);
+          }
+        });
+      };
+
+      // NOTE: `db.serialize(callback)` would call `fn` outside of the
+      // transaction's async context
+      let result;
+      let promise;
+      db.serialize();
+      try {
+        db.run('SAVEPOINT write;');
+        try {
+          result = fn(run, changes);
+        } catch (e) {
+          errors.push(e);
+        } finally {
+          isQueueing = false;
+        }
+
+        // Wait for all queued statements
+        promise = db.runAsync('SELECT 1;');
+      } finally {
+        db.parallelize();
+      }
+      await promise;
+
+      if (errors.length !== 0) {
+        changes.splice(changeCount);
+        await db.runAsync('ROLLBACK TO write;');
+        await db.runAsync('RELEASE write;');
+        throw errors[0];
+      }
+      await db.runAsync('RELEASE write;');
+      return result;
+    });
+  }
+
+  writeEntity(run, prefix, id, blob, ttl, changes) {
+    const now = Date.now();
+
+    // Expired entity is replaced by a new one
+    run(`
+      DELETE FROM entities
+      WHERE prefix == $prefix AND id == $id AND expires_at <= $now
+    `, { $prefix: prefix, $id: id, $now: now });
+    run(`
+      DELETE FROM entity_history
+      WHERE prefix == $prefix AND id == $id AND
+        NOT EXISTS (SELECT 1 FROM entities
+          WHERE prefix == $prefix AND id == $id)
+    `, { $prefix: prefix, $id: id });
+
+    const encoded = this.encodeBlob(blob);
+    this.archiveEntity(run, prefix, id);
+
+    // Versions are never reused, even after the entity is removed, so that
+    // stale `storeEntityIfVersion()` calls can't succeed
+    run(`
+      INSERT INTO entity_versions (prefix, id, version)
+      VALUES ($prefix, $id, 1)
+      ON CONFLICT (prefix, id) DO UPDATE SET version = version + 1
+    `, { $prefix: prefix, $id: id });
+    run(`
+      INSERT INTO entities (prefix, id, blob, compression, version, expires_at)
+      SELECT $prefix, $id, $blob, $compression, version, $expiresAt
+      FROM entity_versions
+      WHERE prefix == $prefix AND id == $id
+      ON CONFLICT (prefix, id) DO UPDATE SET
+        blob = excluded.blob,
+        compression = excluded.compression,
+        version = excluded.version,
+        expires_at = excluded.expires_at
+    `, {
+      $prefix: prefix,
+      $id: id,
+      $blob: encoded.blob,
+      $compression: encoded.compression,
+      $expiresAt: ttl === undefined ? null : now + ttl,
+    });
+    this.recordChange(run, { type: 'entityStored', prefix, id }, changes);
+  }
+
+  // Copy current version of the entity to `entity_history` and forget
+  // versions that are too old.
+  archiveEntity(run, prefix, id) {
+    const limit = this.options.entityHistory || 0;
+    if (limit > 0) {
+      run(`
+        REPLACE INTO entity_history (prefix, id, version, blob, compression)
+        SELECT prefix, id, version, blob, compression FROM entities
+        WHERE prefix == $prefix AND id == $id
+      `, { $prefix: prefix, $id: id });
+    }
+    run(`
+      DELETE FROM entity_history
+      WHERE prefix == $prefix AND id == $id AND version <= (
+        SELECT version FROM entities WHERE prefix == $prefix AND id == $id
+      ) - $limit
+    `, { $prefix: prefix, $id: id, $limit: limit });
+  }
+
+  emitChanges(changes) {
+    for (const change of changes) {
+      this.emit(change.type, change);
+    }
+  }
+
+  recordUsage(run, message, blob, replace = true) {
+    const params = {
+      $channelId: message.channelId,
+      $hash: message.hash,
+      $size: blob.length,
+      $now: Date.now(),
+    };
+
+    // `REPLACE` overwrites the blob of existing message, `INSERT OR IGNORE`
+    // does not
+    let select;
+    if (replace) {
+      select = `
+        SELECT $channelId,
+          NOT EXISTS (SELECT 1 FROM messages
+            WHERE channel_id == $channelId AND hash == $hash),
+          $size - COALESCE((SELECT LENGTH(blob) FROM messages
+            WHERE channel_id == $channelId AND hash == $hash), 0),
+          $now
+        WHERE 1
+      `;
+    } else {
+      select = `
+        SELECT $channelId, 1, $size, $now
+        WHERE NOT EXISTS (SELECT 1 FROM messages
+          WHERE channel_id == $channelId AND hash == $hash)
+      `;
+    }
+
+    // Only new messages update the insert time
+    run(`
+      INSERT INTO channel_usage
+        (channel_id, message_count, blob_bytes, last_insert_at)
+      ${select}
+      ON CONFLICT (channel_id) DO UPDATE SET
+        message_count = message_count + excluded.message_count,
+        blob_bytes = blob_bytes + excluded.blob_bytes,
+        last_insert_at = CASE
+          WHEN excluded.message_count > 0 THEN excluded.last_insert_at
+          ELSE last_insert_at
+        END
+    `, params);
+  }
+
+  // NOTE: Insert times can't be recomputed so they are kept as they are
+  async rebuildChannelUsage() {
+    await this.db.runAsync(`
+      DELETE FROM channel_usage
+      WHERE channel_id NOT IN (SELECT channel_id FROM messages)
+    `);
+    await this.db.runAsync(`
+      INSERT INTO channel_usage (channel_id, message_count, blob_bytes)
+      SELECT channel_id, COUNT(*), SUM(LENGTH(blob)) FROM messages
+      WHERE 1
+      GROUP BY channel_id
+      ON CONFLICT (channel_id) DO UPDATE SET
+        message_count = excluded.message_count,
+        blob_bytes = excluded.blob_bytes
+    `);
+  }
+
+  recordFingerprint(run, message) {
+    const lanes = fingerprintLanes(message.hash);
+    run(`
+      INSERT INTO fingerprints
+        (channel_id, height, count, lane0, lane1, lane2, lane3)
+      SELECT $channelId, $height, 1, $lane0, $lane1, $lane2, $lane3
+      WHERE NOT EXISTS (SELECT 1 FROM messages
+          WHERE channel_id == $channelId AND hash == $hash) AND
+        NOT EXISTS (SELECT 1 FROM pruned
+          WHERE channel_id == $channelId AND hash == $hash)
+      ${FINGERPRINT_UPSERT}
+    `, {
+      $channelId: message.channelId,
+      $hash: message.hash,
+      $height: message.height,
+      $lane0: lanes[0],
+      $lane1: lanes[1],
+      $lane2: lanes[2],
+      $lane3: lanes[3],
+    });
+  }
+
+  async rebuildFingerprints(channelId = null) {
+    const params = channelId ? { $channelId: channelId } : {};
+    const condition = channelId ? 'channel_id == $channelId' : '1';
+
+    await this.db.runAsync(`
+      DELETE FROM fingerprints WHERE ${condition}
+    `, params);
+
+    // Pruned messages that were added again are counted only once
+    const sources = [
+      'messages',
+      `pruned WHERE NOT EXISTS (SELECT 1 FROM messages
+        WHERE messages.channel_id == pruned.channel_id AND
+          messages.hash == pruned.hash)`,
+    ];
+    for (const source of sources) {
+      let lastRowId = -1;
+      for (;;) {
+        const rows = await this.db.allAsync(`
+          SELECT rowid, channel_id, hash, height FROM (
+            SELECT rowid, channel_id, hash, height FROM ${source}
+          )
+          WHERE rowid > $lastRowId AND ${condition}
+          ORDER BY rowid ASC
+          LIMIT $limit
+        `, { ...params, $lastRowId: lastRowId, $limit: BATCH_SIZE });
+        if (rows.length === 0) {
+          break;
+        }
+
+        for (const row of rows) {
+          const lanes = fingerprintLanes(row.hash);
+          await this.db.runAsync(`
+            INSERT INTO fingerprints
+              (channel_id, height, count, lane0, lane1, lane2, lane3)
+            VALUES ($channelId, $height, 1, $lane0, $lane1, $lane2, $lane3)
+            ${FINGERPRINT_UPSERT}
+          `, {
+            $channelId: row.channel_id,
+            $height: row.height,
+            $lane0: lanes[0],
+            $lane1: lanes[1],
+            $lane2: lanes[2],
+            $lane3: lanes[3],
+          });
+        }
+        lastRowId = rows[rows.length - 1].rowid;
+      }
+    }
+  }
+
+  async checkQuota(deltas) {
+    const { quota } = this.options;
+
+    let totalBytes = 0;
+    for (const { channelId, count, bytes } of deltas) {
+      totalBytes += bytes;
+
+      if (quota.channelMessages === undefined &&
+          quota.channelBytes === undefined) {
+        continue;
+      }
+
+      const usage = await this.db.getAsync(`
+        SELECT
+          COALESCE(SUM(message_count), 0) AS message_count,
+          COALESCE(SUM(blob_bytes), 0) AS blob_bytes
+        FROM channel_usage
+        WHERE channel_id == $channelId
+      `, { $channelId: channelId });
+
+      const newCount = usage.message_count + count;
+      if (quota.channelMessages !== undefined && count > 0 &&
+          newCount > quota.channelMessages) {
+        throw new QuotaExceededError('channelMessages', quota.channelMessages,
+          newCount, channelId);
+      }
+
+      const newBytes = usage.blob_bytes + bytes;
+      if (quota.channelBytes !== undefined && bytes > 0 &&
+          newBytes > quota.channelBytes) {
+        throw new QuotaExceededError('channelBytes', quota.channelBytes,
+          newBytes, channelId);
+      }
+    }
+
+    if (quota.totalBytes !== undefined && totalBytes > 0) {
+      const usage = await this.db.getAsync(`
+        SELECT COALESCE(SUM(blob_bytes), 0) AS bytes FROM channel_usage
+      `);
+
+      const newBytes = usage.bytes + totalBytes;
+      if (newBytes > quota.totalBytes) {
+        throw new QuotaExceededError('totalBytes', quota.totalBytes, newBytes);
+      }
+    }
+  }
+
+  decodeRetentionPolicy(row) {
+    const policy = {};
+    if (row.max_count !== null) {
+      policy.maxCount = row.max_count;
+    }
+    if (row.max_bytes !== null) {
+      policy.maxBytes = row.max_bytes;
+    }
+    if (row.min_height !== null) {
+      policy.minHeight = row.min_height;
+    }
+    return policy;
+  }
+
+  async getPruneCandidates(channelId, policy) {
+    const totals = await this.db.getAsync(`
+      SELECT COUNT(*) AS count, TOTAL(LENGTH(blob)) AS bytes FROM messages
+      WHERE channel_id == $channelId
+    `, { $channelId: channelId });
+
+    let count = totals.count;
+    let bytes = totals.bytes;
+    const isViolated = (height) => {
+      if (policy.minHeight !== undefined && height < policy.minHeight) {
+        return true;
+      }
+      if (policy.maxCount !== undefined && count > policy.maxCount) {
+        return true;
+      }
+      if (policy.maxBytes !== undefined && bytes > policy.maxBytes) {
+        return true;
+      }
+      return false;
+    };
+
+    const candidates = [];
+    let cursor = null;
+    for (;;) {
+      let command = `
+        SELECT hash, height, LENGTH(blob) AS size,
+          EXISTS (SELECT 1 FROM parents
+            WHERE parents.channel_id == messages.channel_id AND
+              parents.hash == messages.hash) AS has_children
+        FROM messages
+        WHERE channel_id == $channelId
+      `;
+      const params = {
+        $channelId: channelId,
+        $limit: BATCH_SIZE,
+      };
+      if (cursor) {
+        command += `
+          AND (height > $height OR (height == $height AND hash > $hash))
+        `;
+        params.$height = cursor.height;
+        params.$hash = cursor.hash;
+      }
+      command += ' ORDER BY height ASC, hash ASC LIMIT $limit';
+
+      const rows = await this.db.allAsync(command, params);
+      if (rows.length === 0) {
+        return candidates;
+      }
+
+      for (const row of rows) {
+        if (!isViolated(row.height)) {
+          return candidates;
+        }
+
+        // Leaves are never pruned
+        if (!row.has_children) {
+          continue;
+        }
+
+        candidates.push(row);
+        count--;
+        bytes -= row.size;
+      }
+
+      const last = rows[rows.length - 1];
+      cursor = { height: last.height, hash: last.hash };
+    }
+  }
+
+  async removePrunedMessages(channelId, candidates) {
+    await this.write((run, changes) => {
+      for (const { hash, height } of candidates) {
+        this.recordChange(run, {
+          type: 'messagePruned',
+          channelId,
+          hash,
+          height,
+        }, changes);
+      }
+
+      const rowCount = Math.floor(MAX_VARIABLE_COUNT / 3);
+      for (const partial of chunk(candidates, rowCount)) {
+        const params = [];
+        for (const { hash, height } of partial) {
+          params.push(channelId, hash, height);
+        }
+        run(`
+          REPLACE INTO pruned (channel_id, hash, height)
+          VALUES ${partial.map(() => '(?, ?, ?)').join(', ')}
+        `, params);
+      }
+
+      run(`
+        UPDATE channel_usage SET
+          message_count = message_count - $count,
+          blob_bytes = blob_bytes - $bytes
+        WHERE channel_id == $channelId
+      `, {
+        $channelId: channelId,
+        $count: candidates.length,
+        $bytes: candidates.reduce((sum, { size }) => sum + size, 0),
+      });
+
+      for (const partial of chunk(candidates, MAX_VARIABLE_COUNT - 1)) {
+        const hashes = partial.map(({ hash }) => hash);
+        run(`
+          DELETE FROM messages
+          WHERE channel_id == ? AND
+            hash IN (${hashes.map(() => '?').join(', ')})
+        `, channelId, ...hashes);
+        if (this.hasSearchIndex) {
+          run(`
+            DELETE FROM messages_fts
+            WHERE channel_id == ? AND
+              hash IN (${hashes.map(() => '?').join(', ')})
+          `, channelId, ...hashes);
+        }
+        run(`
+          DELETE FROM edges
+          WHERE channel_id == ? AND
+            child_hash IN (${hashes.map(() => '?').join(', ')})
+        `, channelId, ...hashes);
+      }
+    });
+  }
+
+  // Verify the encryption key against the stored key check, or store it if
+  // the database has none
+  async checkEncryptionKey(readOnly) {
+    const table = await this.db.getAsync(`
+      SELECT 1 FROM sqlite_master WHERE name == 'encryption'
+    `);
+    if (!table) {
+      return;
+    }
+
+    const row = await this.db.getAsync('SELECT key_check FROM encryption;');
+    if (!row) {
+      // Databases created before the key check are verified against any blob
+      if (this.cipher) {
+        const sample = await this.db.getAsync(`
+          SELECT blob FROM messages
+          UNION ALL
+          SELECT blob FROM entities
+          LIMIT 1
+        `);
+        if (sample) {
+          this.cipher.decrypt(sample.blob);
+        }
+      }
+      if (!readOnly) {
+        await this.transaction(() => this.storeKeyCheck(this.cipher));
+      }
+      return;
+    }
+
+    if (row.key_check === null) {
+      if (this.cipher) {
+        throw new Error('Database is not encrypted, use `rotateKey()` to ' +
+          'encrypt it');
+      }
+      return;
+    }
+
+    if (!this.cipher) {
+      throw new Error('Database is encrypted, encryption key is required');
+    }
+
+    let check;
+    try {
+      check = this.cipher.decrypt(row.key_check);
+    } catch (e) {
+      check = null;
+    }
+    if (!check || !check.equals(KEY_CHECK)) {
+      throw new Error('Invalid encryption key');
+    }
+  }
+
+  async storeKeyCheck(cipher) {
+    await this.db.runAsync('DELETE FROM encryption;');
+    await this.db.runAsync(`
+      INSERT INTO encryption (key_check) VALUES ($keyCheck)
+    `, { $keyCheck: cipher ? cipher.encrypt(KEY_CHECK) : null });
+  }
+
+  encryptBlob(blob) {
+    return this.cipher ? this.cipher.encrypt(blob) : blob;
+  }
+
+  decryptBlob(blob) {
+    return this.cipher ? this.cipher.decrypt(blob) : blob;
+  }
+
+  // Compress (if enabled and worth it) and encrypt the data.
+  // Returns `{ blob, compression }`.
+  encodeBlob(data) {
+    const {
+      compression: algorithm,
+      compressionThreshold = DEFAULT_COMPRESSION_THRESHOLD,
+    } = this.options;
+
+    let compression = COMPRESSION_NONE;
+    if (algorithm && data.length >= compressionThreshold) {
+      const compressed = algorithm === 'brotli' ?
+        zlib.brotliCompressSync(data) :
+        zlib.deflateRawSync(data);
+      if (compressed.length < data.length) {
+        data = compressed;
+        compression = COMPRESSION_ALGORITHMS.get(algorithm);
+      }
+    }
+
+    return { blob: this.encryptBlob(data), compression };
+  }
+
+  decodeBlob(blob, compression) {
+    const data = this.decryptBlob(blob);
+    if (compression === COMPRESSION_NONE) {
+      return data;
+    } else if (compression === COMPRESSION_ALGORITHMS.get('deflate')) {
+      return zlib.inflateRawSync(data);
+    } else if (compression === COMPRESSION_ALGORITHMS.get('brotli')) {
+      return zlib.brotliDecompressSync(data);
+    }
+    throw new Error(`Unknown blob compression ${compression}`);
+  }
+
+  async resetSchema(version, migrations) {
+    // Virtual tables go first, they drop their shadow tables on their own
+    const tables = await this.db.allAsync(`
+      SELECT name FROM sqlite_master
+      WHERE type == 'table' AND name NOT LIKE 'sqlite_%'
+      ORDER BY sql LIKE 'CREATE VIRTUAL%' DESC
+    `);
+    for (const { name } of tables) {
+      await this.db.runAsync(`DROP TABLE IF EXISTS "${name}";`);
+    }
+
+    await this.createTables();
+
+    for (const migration of migrations) {
+      if (migration.version <= BASE_VERSION || migration.version > version) {
+        continue;
+      }
+      if (migration.up) {
+        await migration.up(this);
+      }
+    }
+  }
+
   encodeHashList(list) {
     let size = 0;
     for (const elem of list) {
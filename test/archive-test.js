@@ -0,0 +1,154 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+import { PassThrough, Readable } from 'stream';
+
+import Storage from '../';
+
+describe('channel archive', () => {
+  let channelId = null;
+  let source = null;
+  let target = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+    source = new Storage();
+    target = new Storage();
+    await source.open();
+    await target.open();
+  });
+
+  afterEach(async () => {
+    const s = source;
+    const t = target;
+    channelId = null;
+    source = null;
+    target = null;
+
+    await s.close();
+    await t.close();
+  });
+
+  const msg = (hash, height, parents = []) => {
+    return {
+      channelId,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`),
+    };
+  };
+
+  const exportToBuffer = async (options) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+
+    await source.exportChannel(channelId, stream, options);
+    return Buffer.concat(chunks);
+  };
+
+  const dump = async (storage) => {
+    const hashes = await storage.getHashesAtOffset(channelId, 0, 1000);
+    const blobs = await storage.getMessages(channelId, hashes);
+    return blobs.map((blob) => blob.toString());
+  };
+
+  const fill = async (count) => {
+    const messages = [];
+    let parents = [];
+    for (let i = 0; i < count; i++) {
+      const hash = `h${i}`;
+      messages.push(msg(hash, i, parents));
+      parents = [ hash ];
+    }
+    await source.addMessages(messages);
+  };
+
+  it('should export and import channel', async () => {
+    await source.addMessage(msg('a', 0));
+    await source.addMessage(msg('c', 1, [ 'a' ]));
+    await source.addMessage(msg('b', 1, [ 'a' ]));
+    await source.addMessage(msg('d', 2, [ 'b', 'c' ]));
+
+    const data = await exportToBuffer();
+    const result = await target.importChannel(Readable.from([ data ]));
+    assert.ok(result.channelId.equals(channelId));
+    assert.strictEqual(result.added, 4);
+    assert.strictEqual(result.existing, 0);
+    assert.strictEqual(result.last.hash.toString(), 'd');
+
+    assert.deepStrictEqual(await dump(target), await dump(source));
+
+    const leaves = await target.getLeafHashes(channelId);
+    assert.deepStrictEqual(leaves.map((h) => h.toString()), [ 'd' ]);
+
+    // Importing again should be a no-op
+    const again = await target.importChannel(Readable.from([ data ]));
+    assert.strictEqual(again.added, 0);
+    assert.strictEqual(again.existing, 4);
+  });
+
+  it('should reject messages with missing parents', async () => {
+    await source.addMessage(msg('a', 0));
+    await source.addMessage(msg('c', 2, [ 'b' ]));
+
+    const data = await exportToBuffer();
+    await assert.rejects(target.importChannel(Readable.from([ data ])),
+      /Missing parent/);
+    assert.strictEqual(await target.getMessageCount(channelId), 0);
+
+    // Parent is present locally
+    await target.addMessage(msg('b', 1, [ 'a' ]));
+    const result = await target.importChannel(Readable.from([ data ]));
+    assert.strictEqual(result.added, 2);
+  });
+
+  it('should import pruned channel into empty storage', async () => {
+    await fill(10);
+    await source.setRetentionPolicy(channelId, { maxCount: 3 });
+    await source.prune();
+    assert.strictEqual(await source.getMessageCount(channelId), 3);
+
+    const data = await exportToBuffer();
+    const result = await target.importChannel(Readable.from([ data ]));
+    assert.strictEqual(result.added, 3);
+    assert.deepStrictEqual(await dump(target), [
+      '7: h7', '8: h8', '9: h9',
+    ]);
+    assert.ok(await target.hasMessage(channelId, Buffer.from('h0')));
+    assert.deepStrictEqual(await target.getMissingHashes(channelId), []);
+    assert.ok((await target.verifyChannel(channelId)).ok);
+    assert.deepStrictEqual(await target.getRangeFingerprint(channelId),
+      await source.getRangeFingerprint(channelId));
+  });
+
+  it('should resume interrupted import', async () => {
+    await fill(1500);
+
+    const data = await exportToBuffer();
+    const truncated = data.slice(0, Math.floor(data.length * 0.7));
+
+    const err = await target.importChannel(Readable.from([ truncated ]))
+      .catch((err) => err);
+    assert.ok(/Truncated/.test(err.message));
+    assert.ok(err.last);
+
+    const imported = await target.getMessageCount(channelId);
+    assert.ok(imported > 0 && imported < 1500);
+    assert.strictEqual(err.last.height, imported - 1);
+
+    const rest = await exportToBuffer({ after: err.last });
+    const result = await target.importChannel(Readable.from([ rest ]));
+    assert.strictEqual(result.added, 1500 - imported);
+    assert.strictEqual(result.existing, 0);
+    assert.strictEqual(await target.getMessageCount(channelId), 1500);
+  });
+
+  it('should reject invalid archives', async () => {
+    await assert.rejects(
+      target.importChannel(Readable.from([ Buffer.from('garbage') ])),
+      /Not a channel archive/);
+  });
+});
@@ -0,0 +1,129 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import Storage from '../';
+
+describe('backup', function() {
+  this.timeout(60000);
+
+  let channelId = null;
+  let tmpDir = null;
+  let storage = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'peerlinks-'));
+    storage = new Storage({ file: path.join(tmpDir, 'live.db') });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+    channelId = null;
+    tmpDir = null;
+
+    await s.close();
+  });
+
+  const fill = async (count) => {
+    const messages = [];
+    for (let i = 0; i < count; i++) {
+      messages.push({
+        channelId,
+        hash: Buffer.from(`h${i}`),
+        height: 0,
+        parents: [],
+        data: randomBytes(1024),
+      });
+    }
+    await storage.addMessages(messages);
+  };
+
+  it('should backup and restore open database', async () => {
+    await fill(2000);
+    await storage.storeEntity('fake', 'id', Buffer.from('hello'));
+
+    const snapshot = path.join(tmpDir, 'snapshot.db');
+    const progress = [];
+    await storage.backup(snapshot, {
+      onProgress: (info) => progress.push(info),
+    });
+    assert.ok(progress.length > 1);
+    assert.strictEqual(progress[progress.length - 1].remaining, 0);
+
+    // Original should still be usable
+    await fill(1);
+    assert.strictEqual(await storage.getMessageCount(channelId), 2000);
+
+    const restored = await Storage.restore(snapshot, {
+      file: path.join(tmpDir, 'restored.db'),
+    });
+    assert.strictEqual(await restored.getMessageCount(channelId), 2000);
+    const blob = await restored.retrieveEntity('fake', 'id');
+    assert.strictEqual(blob.toString(), 'hello');
+    await restored.close();
+  });
+
+  it('should not modify the snapshot', async () => {
+    await fill(10);
+    const snapshot = path.join(tmpDir, 'snapshot.db');
+    await storage.backup(snapshot);
+    const original = await fs.readFile(snapshot);
+
+    const restored = await Storage.restore(snapshot);
+    await restored.addMessages([ {
+      channelId,
+      hash: Buffer.from('new'),
+      height: 0,
+      parents: [],
+      data: Buffer.from('new'),
+    } ]);
+    assert.strictEqual(await restored.getMessageCount(channelId), 11);
+    await restored.close();
+
+    assert.ok((await fs.readFile(snapshot)).equals(original));
+    await assert.rejects(Storage.restore(snapshot, { file: snapshot }),
+      /over itself/);
+  });
+
+  it('should not restore over database in use', async () => {
+    await fill(10);
+    const snapshot = path.join(tmpDir, 'snapshot.db');
+    await storage.backup(snapshot);
+
+    await assert.rejects(Storage.restore(snapshot, {
+      file: path.join(tmpDir, 'live.db'),
+    }), /is in use/);
+
+    // Stale WAL files are removed
+    const target = path.join(tmpDir, 'target.db');
+    await fs.writeFile(target + '-wal', randomBytes(4096));
+    await fs.writeFile(target + '-shm', randomBytes(4096));
+    const restored = await Storage.restore(snapshot, { file: target });
+    assert.strictEqual(await restored.getMessageCount(channelId), 10);
+    await restored.close();
+    await assert.rejects(fs.stat(target + '-shm'), /ENOENT/);
+  });
+
+  it('should refuse to restore invalid snapshot', async () => {
+    const empty = path.join(tmpDir, 'empty.db');
+    await fs.writeFile(empty, Buffer.alloc(0));
+    await assert.rejects(Storage.restore(empty),
+      /Unsupported snapshot version/);
+
+    await fill(100);
+    const snapshot = path.join(tmpDir, 'snapshot.db');
+    await storage.backup(snapshot);
+
+    const corrupt = await fs.readFile(snapshot);
+    randomBytes(corrupt.length - 4096).copy(corrupt, 4096);
+    await fs.writeFile(snapshot, corrupt);
+    await assert.rejects(Storage.restore(snapshot));
+  });
+});
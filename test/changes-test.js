@@ -0,0 +1,152 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import Storage from '../';
+
+describe('change log', () => {
+  let channelId = null;
+  let storage = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+    storage = new Storage();
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+    channelId = null;
+
+    await s.close();
+  });
+
+  const msg = (hash, height, parents = []) => {
+    return {
+      channelId,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`),
+    };
+  };
+
+  const summary = (change) => {
+    let key = '';
+    if (change.hash) {
+      key = change.hash.toString();
+    } else if (change.prefix) {
+      key = `${change.prefix}/${change.id}`;
+    }
+    return `${change.type}:${key}`;
+  };
+
+  it('should emit events after commit', async () => {
+    const events = [];
+    for (const type of [ 'message', 'channelRemoved', 'entityStored',
+      'entityRemoved', 'clear' ]) {
+      storage.on(type, (change) => events.push(summary(change)));
+    }
+
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessages([ msg('a', 0), msg('b', 1, [ 'a' ]) ]);
+    await storage.storeEntity('fake', 'id', Buffer.from('hello'));
+    await storage.removeEntity('fake', 'id');
+    await storage.removeEntity('fake', 'missing');
+    await storage.removeChannelMessages(channelId);
+    await storage.clear();
+
+    assert.deepStrictEqual(events, [
+      'message:a',
+      'message:b',
+      'entityStored:fake/id',
+      'entityRemoved:fake/id',
+      'channelRemoved:',
+      'clear:',
+    ]);
+  });
+
+  it('should return changes since sequence number', async () => {
+    const events = [];
+    storage.on('message', (change) => events.push(change));
+
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('b', 1, [ 'a' ]));
+    await storage.storeEntity('fake', 'id', Buffer.from('hello'));
+
+    const all = await storage.changesSince(0);
+    assert.deepStrictEqual(all.map(summary), [
+      'message:a',
+      'message:b',
+      'entityStored:fake/id',
+    ]);
+    assert.deepStrictEqual(all.slice(0, 2), events);
+    assert.ok(all[1].channelId.equals(channelId));
+    assert.strictEqual(all[1].height, 1);
+
+    const rest = await storage.changesSince(all[0].sequence, { limit: 1 });
+    assert.deepStrictEqual(rest.map(summary), [ 'message:b' ]);
+
+    await storage.removeChangesUntil(all[1].sequence);
+    const trimmed = await storage.changesSince(0);
+    assert.deepStrictEqual(trimmed.map(summary), [ 'entityStored:fake/id' ]);
+  });
+
+  it('should record pruned messages', async () => {
+    const events = [];
+    storage.on('messagePruned', (change) => events.push(summary(change)));
+
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('b', 1, [ 'a' ]));
+    await storage.addMessage(msg('c', 2, [ 'b' ]));
+    const [ last ] = (await storage.changesSince(0)).slice(-1);
+
+    await storage.setRetentionPolicy(channelId, { minHeight: 2 });
+    await storage.prune();
+
+    assert.deepStrictEqual(events, [ 'messagePruned:a', 'messagePruned:b' ]);
+
+    const pruned = await storage.changesSince(last.sequence);
+    assert.deepStrictEqual(pruned.map(summary), events);
+    assert.ok(pruned[1].channelId.equals(channelId));
+    assert.strictEqual(pruned[1].height, 1);
+  });
+
+  it('should keep only the latest changes', async () => {
+    const small = new Storage({ changeLogSize: 2 });
+    await small.open();
+
+    await small.addMessage(msg('a', 0));
+    await small.addMessages([ msg('b', 1, [ 'a' ]), msg('c', 2, [ 'b' ]) ]);
+    await small.addMessage(msg('d', 3, [ 'c' ]));
+
+    const changes = await small.changesSince(0);
+    assert.deepStrictEqual(changes.map(summary),
+      [ 'message:c', 'message:d' ]);
+    await small.close();
+  });
+
+  it('should persist changes between restarts', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'peerlinks-'));
+    const file = path.join(tmpDir, 'changes.db');
+
+    const first = new Storage({ file });
+    await first.open();
+    await first.addMessage(msg('a', 0));
+    const [ last ] = await first.changesSince(0);
+    await first.addMessage(msg('b', 1, [ 'a' ]));
+    await first.close();
+
+    const second = new Storage({ file });
+    await second.open();
+    const missed = await second.changesSince(last.sequence);
+    assert.deepStrictEqual(missed.map(summary), [ 'message:b' ]);
+    await second.close();
+  });
+});
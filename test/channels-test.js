@@ -0,0 +1,106 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+
+import Storage from '../';
+
+describe('channels', () => {
+  let storage = null;
+
+  beforeEach(async () => {
+    storage = new Storage();
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+
+    await s.close();
+  });
+
+  const first = Buffer.alloc(32, 1);
+  const second = Buffer.alloc(32, 2);
+
+  const msg = (channelId, hash, height, parents = []) => {
+    return {
+      channelId,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`),
+    };
+  };
+
+  const hex = (list) => list.map((id) => id.toString('hex'));
+
+  it('should list channels with messages', async () => {
+    assert.deepStrictEqual(await storage.getChannelIds(), []);
+
+    await storage.addMessage(msg(second, 'a', 0));
+    await storage.addMessages([ msg(first, 'a', 0) ]);
+    assert.deepStrictEqual(hex(await storage.getChannelIds()),
+      hex([ first, second ]));
+
+    await storage.removeChannelMessages(first);
+    assert.deepStrictEqual(hex(await storage.getChannelIds()),
+      hex([ second ]));
+
+    await storage.clear();
+    assert.deepStrictEqual(await storage.getChannelIds(), []);
+  });
+
+  it('should summarize channels', async () => {
+    const before = Date.now();
+    await storage.addMessage(msg(first, 'a', 0));
+    await storage.addMessages([
+      msg(first, 'b', 1, [ 'a' ]),
+      msg(first, 'c', 1, [ 'a' ]),
+      msg(second, 'x', 0),
+    ]);
+    const after = Date.now();
+
+    const summaries = await storage.getChannelSummaries();
+    assert.deepStrictEqual(summaries.map((summary) => {
+      return {
+        ...summary,
+        channelId: summary.channelId.toString('hex'),
+        leaves: summary.leaves.map((hash) => hash.toString()).sort(),
+        lastInsertAt: undefined,
+      };
+    }), [ {
+      channelId: first.toString('hex'),
+      messageCount: 3,
+      maxHeight: 1,
+      leaves: [ 'b', 'c' ],
+      lastInsertAt: undefined,
+    }, {
+      channelId: second.toString('hex'),
+      messageCount: 1,
+      maxHeight: 0,
+      leaves: [ 'x' ],
+      lastInsertAt: undefined,
+    } ]);
+
+    for (const { lastInsertAt } of summaries) {
+      assert.ok(before <= lastInsertAt && lastInsertAt <= after);
+    }
+
+    // Rebuilding usage should keep insert times
+    await storage.recompress();
+    const rebuilt = await storage.getChannelSummaries();
+    assert.deepStrictEqual(rebuilt.map(({ lastInsertAt }) => lastInsertAt),
+      summaries.map(({ lastInsertAt }) => lastInsertAt));
+  });
+
+  it('should find orphan channels', async () => {
+    await storage.addMessage(msg(first, 'a', 0));
+    await storage.addMessage(msg(second, 'a', 0));
+
+    assert.deepStrictEqual(hex(await storage.findOrphanChannels([ first ])),
+      hex([ second ]));
+    assert.deepStrictEqual(
+      await storage.findOrphanChannels([ first, second, Buffer.alloc(32) ]),
+      []);
+  });
+});
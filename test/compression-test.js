@@ -0,0 +1,118 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import Storage from '../';
+
+describe('compression', () => {
+  let channelId = null;
+  let file = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'peerlinks-'));
+    file = path.join(tmpDir, 'compressed.db');
+  });
+
+  afterEach(() => {
+    channelId = null;
+    file = null;
+  });
+
+  const open = async (options = {}) => {
+    const storage = new Storage({ file, ...options });
+    await storage.open();
+    return storage;
+  };
+
+  const text = (hash) => Buffer.from(`${hash}: ${'lorem ipsum '.repeat(100)}`);
+
+  const msg = (hash, height, data = text(hash)) => {
+    return {
+      channelId,
+      hash: Buffer.from(hash),
+      height,
+      parents: [],
+      data,
+    };
+  };
+
+  const getCompression = async (storage, table) => {
+    const rows = await storage.db.allAsync(`
+      SELECT compression FROM ${table} ORDER BY rowid ASC
+    `);
+    return rows.map((row) => row.compression);
+  };
+
+  for (const compression of [ 'deflate', 'brotli' ]) {
+    it(`should transparently compress blobs with ${compression}`, async () => {
+      const storage = await open({
+        compression,
+        encryptionKey: randomBytes(32),
+      });
+
+      await storage.addMessage(msg('a', 0));
+      await storage.addMessages([
+        msg('b', 0),
+        msg('c', 0, Buffer.from('tiny')),
+      ]);
+      await storage.storeEntity('test', 'a', text('entity'));
+
+      const flag = compression === 'deflate' ? 1 : 2;
+      assert.deepStrictEqual(await getCompression(storage, 'messages'),
+        [ flag, flag, 0 ]);
+
+      const blob = await storage.getMessage(channelId, Buffer.from('a'));
+      assert.ok(blob.equals(text('a')));
+      const blobs = await storage.getMessages(channelId,
+        [ Buffer.from('c'), Buffer.from('b') ]);
+      assert.strictEqual(blobs[0].toString(), 'tiny');
+      assert.ok(blobs[1].equals(text('b')));
+      assert.ok(
+        (await storage.retrieveEntity('test', 'a')).equals(text('entity')));
+
+      const { blobBytes } = await storage.getChannelStats(channelId);
+      assert.ok(blobBytes < text('a').length);
+
+      await storage.close();
+    });
+  }
+
+  it('should recompress existing database', async () => {
+    const first = await open();
+    await first.addMessage(msg('a', 0));
+    await first.addMessage(msg('b', 0, Buffer.from('tiny')));
+    await first.storeEntity('test', 'a', text('entity'));
+    const before = await first.getChannelStats(channelId);
+    await first.close();
+
+    const second = await open({ compression: 'deflate' });
+    assert.strictEqual(await second.recompress(), 2);
+    assert.deepStrictEqual(await getCompression(second, 'messages'), [ 1, 0 ]);
+    assert.deepStrictEqual(await getCompression(second, 'entities'), [ 1 ]);
+
+    const after = await second.getChannelStats(channelId);
+    assert.ok(after.blobBytes < before.blobBytes);
+    assert.ok(
+      (await second.getMessage(channelId, Buffer.from('a'))).equals(text('a')));
+    await second.close();
+
+    // Mixed rows are still readable, and can be decompressed back
+    const third = await open();
+    assert.ok(
+      (await third.retrieveEntity('test', 'a')).equals(text('entity')));
+    assert.strictEqual(await third.recompress(), 2);
+    assert.deepStrictEqual(await getCompression(third, 'messages'), [ 0, 0 ]);
+    await third.close();
+  });
+
+  it('should reject unknown compression', async () => {
+    await assert.rejects(open({ compression: 'zip' }),
+      /Unsupported compression zip/);
+  });
+});
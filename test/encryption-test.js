@@ -0,0 +1,185 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import Storage from '../';
+
+describe('encryption', () => {
+  let channelId = null;
+  let file = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'peerlinks-'));
+    file = path.join(tmpDir, 'encrypted.db');
+  });
+
+  afterEach(() => {
+    channelId = null;
+    file = null;
+  });
+
+  const open = async (options = {}) => {
+    const storage = new Storage({ file, ...options });
+    await storage.open();
+    return storage;
+  };
+
+  const msg = (hash, height, parents = []) => {
+    return {
+      channelId,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`secret ${height}: ${hash}`),
+    };
+  };
+
+  const rawBlobs = async (storage) => {
+    const messages = await storage.db.allAsync('SELECT blob FROM messages');
+    const entities = await storage.db.allAsync('SELECT blob FROM entities');
+    return messages.concat(entities).map((row) => row.blob);
+  };
+
+  const isPlaintext = (blob) => blob.toString().startsWith('secret');
+
+  it('should encrypt messages and entities', async () => {
+    const storage = await open({ encryptionKey: randomBytes(32) });
+
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessages([ msg('c', 1, [ 'a' ]), msg('b', 1, [ 'a' ]) ]);
+    await storage.storeEntity('fake', 'id', Buffer.from('secret entity'));
+
+    const blobs = await rawBlobs(storage);
+    assert.strictEqual(blobs.length, 4);
+    assert.ok(blobs.every((blob) => !isPlaintext(blob)));
+
+    const message = await storage.getMessage(channelId, Buffer.from('a'));
+    assert.strictEqual(message.toString(), 'secret 0: a');
+
+    const hashes = await storage.getHashesAtOffset(channelId, 0, 3);
+    const messages = await storage.getMessages(channelId, hashes);
+    assert.deepStrictEqual(messages.map((m) => m.toString()), [
+      'secret 0: a',
+      'secret 1: b',
+      'secret 1: c',
+    ]);
+
+    const leaves = await storage.getLeafHashes(channelId);
+    assert.deepStrictEqual(leaves.map((h) => h.toString()).sort(),
+      [ 'b', 'c' ]);
+
+    const entity = await storage.retrieveEntity('fake', 'id');
+    assert.strictEqual(entity.toString(), 'secret entity');
+
+    await storage.close();
+  });
+
+  it('should use key derivation callback', async () => {
+    const key = randomBytes(32);
+    const first = await open({ deriveKey: async () => key });
+    await first.storeEntity('fake', 'id', Buffer.from('secret entity'));
+    await first.close();
+
+    const second = await open({ encryptionKey: key });
+    const entity = await second.retrieveEntity('fake', 'id');
+    assert.strictEqual(entity.toString(), 'secret entity');
+    await second.close();
+
+    await assert.rejects(open({ encryptionKey: randomBytes(32) }),
+      /Invalid encryption key/);
+  });
+
+  it('should verify encryption key on open', async () => {
+    const key = randomBytes(32);
+    const encrypted = await open({ encryptionKey: key });
+    await encrypted.addMessage(msg('a', 0));
+    await encrypted.close();
+
+    await assert.rejects(open(), /encryption key is required/);
+    await assert.rejects(open({ encryptionKey: randomBytes(32) }),
+      /Invalid encryption key/);
+
+    const decrypted = await open({ encryptionKey: key });
+    await decrypted.rotateKey(null);
+    await decrypted.close();
+
+    await assert.rejects(open({ encryptionKey: key }), /not encrypted/);
+    const plain = await open();
+    await plain.addMessage(msg('b', 1, [ 'a' ]));
+    assert.ok((await rawBlobs(plain)).every(isPlaintext));
+    await plain.close();
+  });
+
+  it('should verify key of database without key check', async () => {
+    const key = randomBytes(32);
+    const first = await open({ encryptionKey: key });
+    await first.addMessage(msg('a', 0));
+    await first.db.runAsync('DELETE FROM encryption;');
+    await first.close();
+
+    await assert.rejects(open({ encryptionKey: randomBytes(32) }),
+      /invalid encryption key/);
+
+    const second = await open({ encryptionKey: key });
+    await second.close();
+    await assert.rejects(open(), /encryption key is required/);
+  });
+
+  it('should rotate encryption key', async () => {
+    const plain = await open();
+    await plain.addMessage(msg('a', 0));
+    await plain.storeEntity('fake', 'id', Buffer.from('secret entity'));
+    assert.ok((await rawBlobs(plain)).every(isPlaintext));
+
+    const oldKey = randomBytes(32);
+    await plain.rotateKey(oldKey);
+    assert.ok((await rawBlobs(plain)).every((blob) => !isPlaintext(blob)));
+    await plain.close();
+
+    const newKey = randomBytes(32);
+    const encrypted = await open({ encryptionKey: oldKey });
+    await encrypted.rotateKey(newKey);
+    await encrypted.close();
+
+    const rotated = await open({ encryptionKey: newKey });
+    const message = await rotated.getMessage(channelId, Buffer.from('a'));
+    assert.strictEqual(message.toString(), 'secret 0: a');
+
+    await rotated.rotateKey(null);
+    assert.ok((await rawBlobs(rotated)).every(isPlaintext));
+    await rotated.close();
+  });
+
+  it('should read and write during key rotation', async () => {
+    const storage = await open({ encryptionKey: randomBytes(32) });
+    const messages = [];
+    for (let i = 0; i < 600; i++) {
+      messages.push(msg(`m${i}`, 0));
+    }
+    await storage.addMessages(messages);
+
+    const newKey = randomBytes(32);
+    const rotation = storage.rotateKey(newKey);
+    const [ read ] = await Promise.all([
+      storage.getMessage(channelId, Buffer.from('m599')),
+      storage.addMessage(msg('b', 1, [ 'm0' ])),
+      storage.storeEntity('fake', 'id', Buffer.from('secret entity')),
+      rotation,
+    ]);
+    assert.strictEqual(read.toString(), 'secret 0: m599');
+    await storage.close();
+
+    const reopened = await open({ encryptionKey: newKey });
+    const message = await reopened.getMessage(channelId, Buffer.from('b'));
+    assert.strictEqual(message.toString(), 'secret 1: b');
+    const entity = await reopened.retrieveEntity('fake', 'id');
+    assert.strictEqual(entity.toString(), 'secret entity');
+    await reopened.close();
+  });
+});
@@ -0,0 +1,224 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+
+import Storage, { VersionConflictError } from '../';
+
+describe('entities', () => {
+  let storage = null;
+
+  beforeEach(async () => {
+    storage = new Storage({ entityHistory: 2 });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+
+    await s.close();
+  });
+
+  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const store = (id, value) => {
+    return storage.storeEntity('test', id, Buffer.from(value));
+  };
+
+  it('should increment entity version', async () => {
+    assert.strictEqual(await storage.retrieveEntityWithVersion('test', 'a'),
+      undefined);
+
+    assert.strictEqual(await store('a', 'first'), 1);
+    assert.strictEqual(await store('a', 'second'), 2);
+    assert.strictEqual(await store('b', 'other'), 1);
+
+    const { blob, version } =
+      await storage.retrieveEntityWithVersion('test', 'a');
+    assert.strictEqual(blob.toString(), 'second');
+    assert.strictEqual(version, 2);
+  });
+
+  it('should compare and swap entities', async () => {
+    const version = await storage.storeEntityIfVersion('test', 'a',
+      Buffer.from('first'), 0);
+    assert.strictEqual(version, 1);
+
+    await assert.rejects(
+      storage.storeEntityIfVersion('test', 'a', Buffer.from('stale'), 0),
+      (err) => {
+        assert.ok(err instanceof VersionConflictError);
+        assert.strictEqual(err.code, 'VERSION_CONFLICT');
+        assert.strictEqual(err.expectedVersion, 0);
+        assert.strictEqual(err.actualVersion, 1);
+        return true;
+      });
+
+    assert.strictEqual(await storage.storeEntityIfVersion('test', 'a',
+      Buffer.from('second'), 1), 2);
+
+    const blob = await storage.retrieveEntity('test', 'a');
+    assert.strictEqual(blob.toString(), 'second');
+  });
+
+  it('should not reuse versions of removed entities', async () => {
+    assert.strictEqual(await store('a', 'first'), 1);
+    await storage.removeEntity('test', 'a');
+
+    assert.strictEqual(await storage.storeEntityIfVersion('test', 'a',
+      Buffer.from('second'), 0), 2);
+    await assert.rejects(
+      storage.storeEntityIfVersion('test', 'a', Buffer.from('stale'), 1),
+      VersionConflictError);
+
+    await storage.storeEntity('test', 'a', Buffer.from('third'), { ttl: 0 });
+    await storage.sweepExpired();
+    await storage.clear();
+    assert.strictEqual(await store('a', 'fourth'), 4);
+  });
+
+  it('should keep limited entity history', async () => {
+    for (const value of [ 'v1', 'v2', 'v3', 'v4' ]) {
+      await store('a', value);
+    }
+
+    const history = await storage.getEntityHistory('test', 'a');
+    assert.deepStrictEqual(history.map(({ blob, version }) => {
+      return [ blob.toString(), version ];
+    }), [ [ 'v3', 3 ], [ 'v2', 2 ] ]);
+
+    await storage.removeEntity('test', 'a');
+    assert.deepStrictEqual(await storage.getEntityHistory('test', 'a'), []);
+  });
+
+  it('should retrieve and store entities in bulk', async () => {
+    await storage.storeEntities('test', [
+      { id: 'a', blob: Buffer.from('1') },
+      { id: 'b', blob: Buffer.from('2') },
+    ]);
+    await store('c', '3');
+    await storage.storeEntity('other', 'a', Buffer.from('other'));
+
+    const blobs = await storage.retrieveEntities('test', [ 'c', 'x', 'a' ]);
+    assert.deepStrictEqual(blobs.map((blob) => blob && blob.toString()),
+      [ '3', undefined, '1' ]);
+
+    assert.strictEqual(await storage.getEntityCount('test'), 3);
+    assert.strictEqual(await storage.getEntityCount(), 4);
+
+    const ids = [];
+    for (let i = 0; i < 1000; i++) {
+      ids.push(`id-${i}`);
+    }
+    await storage.storeEntities('many', ids.map((id) => {
+      return { id, blob: Buffer.from(id) };
+    }));
+    const many = await storage.retrieveEntities('many', ids);
+    assert.deepStrictEqual(many.map((blob) => blob.toString()), ids);
+  });
+
+  it('should list entities page by page', async () => {
+    for (const id of [ 'd', 'b', 'a', 'c', 'e' ]) {
+      await store(id, id.toUpperCase());
+    }
+    await store('a', 'A2');
+
+    const first = await storage.listEntities('test', { limit: 2 });
+    assert.deepStrictEqual(first.entities, [
+      { id: 'a', version: 2 },
+      { id: 'b', version: 1 },
+    ]);
+    assert.strictEqual(first.cursor, 'b');
+
+    const second = await storage.listEntities('test', {
+      after: first.cursor,
+      limit: 2,
+      includeBlobs: true,
+    });
+    assert.deepStrictEqual(second.entities.map(({ id, blob }) => {
+      return [ id, blob.toString() ];
+    }), [ [ 'c', 'C' ], [ 'd', 'D' ] ]);
+
+    const last = await storage.listEntities('test', {
+      after: second.cursor,
+      limit: 2,
+    });
+    assert.deepStrictEqual(last.entities.map(({ id }) => id), [ 'e' ]);
+    assert.strictEqual(last.cursor, null);
+  });
+
+  it('should remove entities by prefix', async () => {
+    const removed = [];
+    storage.on('entityRemoved', ({ prefix, id }) => {
+      removed.push(`${prefix}/${id}`);
+    });
+
+    await store('a', '1');
+    await store('b', '2');
+    await storage.storeEntity('other', 'a', Buffer.from('3'));
+
+    assert.strictEqual(await storage.removeEntityPrefix('test'), 2);
+    assert.deepStrictEqual(removed.sort(), [ 'test/a', 'test/b' ]);
+    assert.strictEqual(await storage.getEntityCount('test'), 0);
+    assert.strictEqual(await storage.getEntityCount('other'), 1);
+    assert.deepStrictEqual(await storage.getEntityHistory('test', 'a'), []);
+  });
+
+  it('should treat expired entities as absent', async () => {
+    await storage.storeEntity('test', 'a', Buffer.from('short'), { ttl: 10 });
+    await storage.storeEntity('test', 'b', Buffer.from('long'), {
+      ttl: 60 * 60 * 1000,
+    });
+    await store('c', 'forever');
+
+    assert.strictEqual((await storage.retrieveEntity('test', 'a')).toString(),
+      'short');
+    await delay(20);
+
+    assert.strictEqual(await storage.retrieveEntity('test', 'a'), undefined);
+    assert.strictEqual(await storage.retrieveEntityWithVersion('test', 'a'),
+      undefined);
+    assert.deepStrictEqual((await storage.getEntityKeys('test')).sort(),
+      [ 'b', 'c' ]);
+    assert.strictEqual(await storage.getEntityCount('test'), 2);
+
+    // Expired entity is replaced, but its version is not reused
+    assert.strictEqual(await storage.storeEntityIfVersion('test', 'a',
+      Buffer.from('new'), 0), 2);
+    assert.strictEqual((await storage.retrieveEntity('test', 'a')).toString(),
+      'new');
+  });
+
+  it('should sweep expired entities', async () => {
+    const removed = [];
+    storage.on('entityRemoved', ({ id }) => removed.push(id));
+
+    await storage.storeEntities('test', [
+      { id: 'a', blob: Buffer.from('1') },
+      { id: 'b', blob: Buffer.from('2') },
+    ], { ttl: 10 });
+    await store('c', '3');
+
+    // Storing without `ttl` removes the expiration
+    await store('b', '2');
+
+    await delay(20);
+    assert.strictEqual(await storage.sweepExpired(), 1);
+    assert.deepStrictEqual(removed, [ 'a' ]);
+
+    const rows = await storage.db.allAsync('SELECT id FROM entities');
+    assert.deepStrictEqual(rows.map(({ id }) => id).sort(), [ 'b', 'c' ]);
+    assert.strictEqual(await storage.sweepExpired(), 0);
+  });
+
+  it('should not keep history by default', async () => {
+    const plain = new Storage();
+    await plain.open();
+
+    await plain.storeEntity('test', 'a', Buffer.from('v1'));
+    await plain.storeEntity('test', 'a', Buffer.from('v2'));
+    assert.deepStrictEqual(await plain.getEntityHistory('test', 'a'), []);
+
+    await plain.close();
+  });
+});
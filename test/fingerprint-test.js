@@ -0,0 +1,120 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+
+import Storage from '../';
+
+describe('range fingerprints', () => {
+  let channelId = null;
+  let storage = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+    storage = new Storage();
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+    channelId = null;
+
+    await s.close();
+  });
+
+  const msg = (hash, height, parents = [], target = channelId) => {
+    return {
+      channelId: target,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`),
+    };
+  };
+
+  const chain = (target) => {
+    return [
+      msg('a', 0, [], target),
+      msg('b', 1, [ 'a' ], target),
+      msg('c', 1, [ 'a' ], target),
+      msg('d', 2, [ 'b', 'c' ], target),
+      msg('e', 3, [ 'd' ], target),
+    ];
+  };
+
+  it('should not depend on insertion order', async () => {
+    const empty = await storage.getRangeFingerprint(channelId, 0, 10);
+    assert.strictEqual(empty.count, 0);
+    assert.ok(empty.digest.equals(Buffer.alloc(16)));
+
+    const other = randomBytes(32);
+    for (const message of chain(channelId)) {
+      await storage.addMessage(message);
+    }
+    await storage.addMessages(chain(other).reverse());
+
+    const first = await storage.getRangeFingerprint(channelId, 0, Infinity);
+    const second = await storage.getRangeFingerprint(other);
+    assert.strictEqual(first.count, 5);
+    assert.deepStrictEqual(first, second);
+
+    const partial = await storage.getRangeFingerprint(channelId, 1, 3);
+    assert.strictEqual(partial.count, 3);
+    assert.ok(!partial.digest.equals(first.digest));
+  });
+
+  it('should ignore duplicates and pruning', async () => {
+    await storage.addMessages(chain(channelId));
+    const before = await storage.getRangeFingerprint(channelId);
+
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessages(chain(channelId));
+    assert.deepStrictEqual(await storage.getRangeFingerprint(channelId),
+      before);
+
+    await storage.setRetentionPolicy(channelId, { maxCount: 2 });
+    await storage.prune();
+    assert.strictEqual(await storage.getMessageCount(channelId), 2);
+    assert.deepStrictEqual(await storage.getRangeFingerprint(channelId),
+      before);
+
+    await storage.db.runAsync('DELETE FROM fingerprints;');
+    await storage.repair();
+    assert.deepStrictEqual(await storage.getRangeFingerprint(channelId),
+      before);
+
+    await storage.removeChannelMessages(channelId);
+    assert.strictEqual((await storage.getRangeFingerprint(channelId)).count,
+      0);
+  });
+
+  it('should split ranges to find differences', async () => {
+    const other = randomBytes(32);
+    await storage.addMessages(chain(channelId));
+    await storage.addMessages([
+      ...chain(other),
+      msg('x', 2, [ 'b' ], other),
+    ]);
+
+    const first = await storage.splitRangeFingerprints(channelId, 0, 5, 2);
+    const second = await storage.splitRangeFingerprints(other, 0, 5, 2);
+    assert.deepStrictEqual(first.map(({ fromHeight, toHeight, count }) => {
+      return [ fromHeight, toHeight, count ];
+    }), [ [ 0, 3, 4 ], [ 3, 5, 1 ] ]);
+    assert.ok(!first[0].digest.equals(second[0].digest));
+    assert.deepStrictEqual(first[1], second[1]);
+
+    // Subranges are at least one height long
+    const single = await storage.splitRangeFingerprints(channelId, 2, 4, 5);
+    assert.deepStrictEqual(single.map(({ fromHeight, count }) => {
+      return [ fromHeight, count ];
+    }), [ [ 2, 1 ], [ 3, 1 ] ]);
+
+    await assert.rejects(
+      storage.splitRangeFingerprints(channelId, 0, Infinity, 2),
+      /must be integers/);
+    await assert.rejects(storage.splitRangeFingerprints(channelId, 0, 5, 0),
+      /positive integer/);
+  });
+});
@@ -0,0 +1,104 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+
+import Storage from '../';
+
+describe('message metadata', () => {
+  let channelId = null;
+  let storage = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+    storage = new Storage();
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+    channelId = null;
+
+    await s.close();
+  });
+
+  const msg = (hash, height, parents = []) => {
+    return {
+      channelId,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`),
+    };
+  };
+
+  const peer = Buffer.from('peer');
+
+  it('should store metadata of the first insertion', async () => {
+    const before = Date.now();
+    await storage.addMessage(msg('a', 0), { isLocal: true });
+    const after = Date.now();
+    await storage.addMessage(msg('b', 1, [ 'a' ]), {
+      receivedAt: 1000,
+      sourcePeer: peer,
+    });
+    await storage.addMessages([ msg('c', 1, [ 'a' ]) ], {
+      receivedAt: 2000,
+      sourcePeer: peer,
+    });
+
+    // Duplicates don't overwrite metadata
+    await storage.addMessage(msg('b', 1, [ 'a' ]), { receivedAt: 3000 });
+    await storage.addMessages([ msg('c', 1, [ 'a' ]) ], { isLocal: true });
+
+    const [ a, b, c, missing ] = await storage.getMessageMeta(channelId,
+      [ 'a', 'b', 'c', 'x' ].map((hash) => Buffer.from(hash)));
+    assert.ok(before <= a.receivedAt && a.receivedAt <= after);
+    assert.strictEqual(a.sourcePeer, null);
+    assert.strictEqual(a.isLocal, true);
+    assert.deepStrictEqual(b, {
+      receivedAt: 1000,
+      sourcePeer: peer,
+      isLocal: false,
+    });
+    assert.deepStrictEqual(c, {
+      receivedAt: 2000,
+      sourcePeer: peer,
+      isLocal: false,
+    });
+    assert.strictEqual(missing, null);
+
+    // The blob is still replaced
+    assert.strictEqual((await storage.getMessage(channelId,
+      Buffer.from('b'))).toString(), '1: b');
+  });
+
+  it('should query messages by receive time', async () => {
+    await storage.addMessage(msg('a', 0), { receivedAt: 3000 });
+    await storage.addMessages([
+      msg('b', 1, [ 'a' ]),
+      msg('c', 1, [ 'a' ]),
+    ], { receivedAt: 1000, sourcePeer: peer });
+    await storage.addMessage(msg('d', 2, [ 'b', 'c' ]), { receivedAt: 2000 });
+
+    const summary = (list) => list.map(({ hash, receivedAt }) => {
+      return `${hash}@${receivedAt}`;
+    });
+
+    assert.deepStrictEqual(
+      summary(await storage.queryByReceiveTime(channelId, 0)),
+      [ 'b@1000', 'c@1000', 'd@2000', 'a@3000' ]);
+    assert.deepStrictEqual(
+      summary(await storage.queryByReceiveTime(channelId, 2000, 1)),
+      [ 'd@2000' ]);
+
+    const [ first ] = await storage.queryByReceiveTime(channelId, 0, 1);
+    assert.strictEqual(first.height, 1);
+    assert.ok(first.sourcePeer.equals(peer));
+    assert.strictEqual(first.isLocal, false);
+
+    assert.deepStrictEqual(
+      await storage.queryByReceiveTime(randomBytes(32), 0), []);
+  });
+});
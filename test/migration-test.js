@@ -0,0 +1,299 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import Storage from '../';
+import MIGRATIONS, { CURRENT_VERSION } from '../lib/migrations';
+
+describe('migrations', () => {
+  let file = null;
+
+  beforeEach(async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'peerlinks-'));
+    file = path.join(tmpDir, 'migration.db');
+  });
+
+  afterEach(() => {
+    file = null;
+  });
+
+  const open = async (options = {}) => {
+    const storage = new Storage({ file, ...options });
+    await storage.open();
+    return storage;
+  };
+
+  const getVersion = async (storage) => {
+    const row = await storage.db.getAsync('PRAGMA user_version;');
+    return row.user_version;
+  };
+
+  it('should create tables in a fresh database', async () => {
+    const storage = await open();
+    assert.strictEqual(await getVersion(storage), CURRENT_VERSION);
+    assert.deepStrictEqual(await storage.migrate({ dryRun: true }), []);
+    await storage.close();
+  });
+
+  it('should keep data between restarts', async () => {
+    const first = await open();
+    await first.storeEntity('fake', 'id', Buffer.from('hello'));
+    await first.close();
+
+    const second = await open();
+    const blob = await second.retrieveEntity('fake', 'id');
+    assert.strictEqual(blob.toString(), 'hello');
+    await second.close();
+  });
+
+  it('should build leaves for existing messages', async () => {
+    const channelId = Buffer.from('channel');
+
+    // Database at version 7, before `leaves` table was added
+    const first = await open({ migrate: false });
+    await first.migrate({
+      migrations: MIGRATIONS.filter(({ version }) => version <= 7),
+    });
+    const messages = [ [ 'a', [] ], [ 'b', [ 'a' ] ], [ 'c', [ 'a' ] ] ];
+    for (const [ hash, parents ] of messages) {
+      const parentHashes = parents.map((parent) => Buffer.from(parent));
+      await first.db.runAsync(`
+        INSERT INTO messages (channel_id, hash, parent_hashes, height, blob)
+        VALUES ($channelId, $hash, $parentHashes, $height, $blob)
+      `, {
+        $channelId: channelId,
+        $hash: Buffer.from(hash),
+        $parentHashes: first.encodeHashList(parentHashes),
+        $height: parents.length,
+        $blob: Buffer.from(hash),
+      });
+      for (const parentHash of parentHashes) {
+        await first.db.runAsync(`
+          REPLACE INTO parents (channel_id, hash) VALUES ($channelId, $hash)
+        `, { $channelId: channelId, $hash: parentHash });
+      }
+    }
+    await first.close();
+
+    const second = await open();
+    assert.strictEqual(await getVersion(second), CURRENT_VERSION);
+    const leaves = await second.getLeafHashes(channelId);
+    assert.deepStrictEqual(leaves.map((hash) => hash.toString()).sort(),
+      [ 'b', 'c' ]);
+    await second.close();
+  });
+
+  it('should backfill edges for existing messages', async () => {
+    const channelId = Buffer.from('channel');
+
+    // Database at version 6, before `edges` table was added
+    const first = await open({ migrate: false });
+    await first.migrate({
+      migrations: MIGRATIONS.filter(({ version }) => version <= 6),
+    });
+    const count = 600;
+    for (let i = 0; i < count; i++) {
+      const parentHashes = i === 0 ? [] : [ Buffer.from(`m${i - 1}`) ];
+      if (i === count - 1) {
+        parentHashes.push(Buffer.from('missing'));
+      }
+      await first.db.runAsync(`
+        INSERT INTO messages (channel_id, hash, parent_hashes, height, blob)
+        VALUES ($channelId, $hash, $parentHashes, $height, $blob)
+      `, {
+        $channelId: channelId,
+        $hash: Buffer.from(`m${i}`),
+        $parentHashes: first.encodeHashList(parentHashes),
+        $height: i,
+        $blob: Buffer.from(`m${i}`),
+      });
+    }
+    await first.close();
+
+    const second = await open();
+    const { count: edgeCount } = await second.db.getAsync(
+      'SELECT COUNT(*) AS count FROM edges');
+    assert.strictEqual(edgeCount, count);
+    const missing = await second.getMissingHashes(channelId);
+    assert.deepStrictEqual(missing.map((hash) => hash.toString()),
+      [ 'missing' ]);
+    await second.close();
+  });
+
+  it('should build fingerprints for existing messages', async () => {
+    const channelId = Buffer.from('channel');
+
+    const storage = await open();
+    const messages = [];
+    for (let i = 0; i < 600; i++) {
+      messages.push({
+        channelId,
+        hash: Buffer.from(`m${i}`),
+        height: i,
+        parents: i === 0 ? [] : [ Buffer.from(`m${i - 1}`) ],
+        data: Buffer.from(`m${i}`),
+      });
+    }
+    await storage.addMessages(messages);
+    await storage.setRetentionPolicy(channelId, { maxCount: 100 });
+    await storage.prune();
+    const expected = await storage.getRangeFingerprint(channelId);
+    assert.strictEqual(expected.count, 600);
+
+    // Re-run the migration that added `fingerprints` table
+    const { up } = MIGRATIONS.find(({ version }) => version === 14);
+    await storage.transaction(async () => {
+      await storage.db.runAsync('DROP TABLE fingerprints;');
+      await up(storage);
+    });
+    assert.deepStrictEqual(await storage.getRangeFingerprint(channelId),
+      expected);
+    await storage.close();
+  });
+
+  it('should key messages and parents by channel', async () => {
+    const first = await open({ migrate: false });
+    await first.migrate({
+      migrations: MIGRATIONS.filter(({ version }) => version <= 11),
+    });
+
+    // `c` references `a` from another channel and steals its `parents` row
+    const messages = [
+      [ 'x', 'a', [] ],
+      [ 'x', 'b', [ 'a' ] ],
+      [ 'y', 'c', [ 'a' ] ],
+    ];
+    for (const [ channel, hash, parents ] of messages) {
+      const channelId = Buffer.from(channel);
+      const parentHashes = parents.map((parent) => Buffer.from(parent));
+      await first.db.runAsync(`
+        INSERT INTO messages (channel_id, hash, parent_hashes, height, blob)
+        VALUES ($channelId, $hash, $parentHashes, $height, $blob)
+      `, {
+        $channelId: channelId,
+        $hash: Buffer.from(hash),
+        $parentHashes: first.encodeHashList(parentHashes),
+        $height: parents.length,
+        $blob: Buffer.from(hash),
+      });
+      for (const parentHash of parentHashes) {
+        await first.db.runAsync(`
+          REPLACE INTO parents (channel_id, hash) VALUES ($channelId, $hash)
+        `, { $channelId: channelId, $hash: parentHash });
+        await first.db.runAsync(`
+          INSERT INTO edges (channel_id, parent_hash, child_hash)
+          VALUES ($channelId, $parentHash, $hash)
+        `, {
+          $channelId: channelId,
+          $parentHash: parentHash,
+          $hash: Buffer.from(hash),
+        });
+      }
+    }
+    await first.close();
+
+    const second = await open();
+    assert.strictEqual(await getVersion(second), CURRENT_VERSION);
+
+    const strings = (list) => list.map((hash) => hash.toString()).sort();
+    const x = Buffer.from('x');
+    const y = Buffer.from('y');
+    assert.strictEqual(await second.getMessageCount(x), 2);
+    assert.strictEqual(await second.getMessageCount(y), 1);
+    assert.deepStrictEqual(strings(await second.getLeafHashes(x)), [ 'b' ]);
+    assert.deepStrictEqual(strings(await second.getLeafHashes(y)), [ 'c' ]);
+    assert.ok((await second.verifyChannel(x)).ok);
+
+    // Same hash can now be stored in both channels
+    await second.addMessage({
+      channelId: y,
+      hash: Buffer.from('a'),
+      height: 0,
+      parents: [],
+      data: Buffer.from('a'),
+    });
+    assert.ok(await second.hasMessage(x, Buffer.from('a')));
+    assert.ok(await second.hasMessage(y, Buffer.from('a')));
+    assert.ok((await second.verifyChannel(y)).ok);
+    await second.close();
+  });
+
+  it('should reset incompatible database', async () => {
+    const first = await open();
+    await first.storeEntity('fake', 'id', Buffer.from('hello'));
+    await first.db.runAsync('PRAGMA user_version = 1;');
+    await first.close();
+
+    const second = await open({ migrate: false });
+    const pending = await second.migrate({ dryRun: true });
+    assert.strictEqual(pending[0].version, 2);
+    assert.ok(pending[0].reset);
+    assert.ok(pending.slice(1).every(({ reset }) => !reset));
+    assert.strictEqual(pending[pending.length - 1].version, CURRENT_VERSION);
+
+    // Dry run should not touch the data
+    assert.strictEqual(await second.getEntityCount(), 1);
+    assert.strictEqual(await getVersion(second), 1);
+
+    await second.migrate();
+    assert.strictEqual(await second.getEntityCount(), 0);
+    assert.strictEqual(await getVersion(second), CURRENT_VERSION);
+    await second.close();
+  });
+
+  it('should rollback failed migration', async () => {
+    const storage = await open();
+    await storage.storeEntity('fake', 'id', Buffer.from('hello'));
+
+    const migrations = [
+      {
+        version: CURRENT_VERSION + 1,
+        description: 'Working migration',
+        async up(storage) {
+          await storage.db.runAsync('CREATE TABLE first(id INT);');
+        },
+      },
+      {
+        version: CURRENT_VERSION + 2,
+        description: 'Failing migration',
+        async up(storage) {
+          await storage.db.runAsync('CREATE TABLE second(id INT);');
+          await storage.db.runAsync('DELETE FROM entities;');
+          throw new Error('Oops');
+        },
+      },
+    ];
+
+    await assert.rejects(storage.migrate({ migrations }), /Oops/);
+    assert.strictEqual(await getVersion(storage), CURRENT_VERSION + 1);
+    assert.strictEqual(await storage.getEntityCount(), 1);
+
+    const tables = await storage.db.allAsync(`
+      SELECT name FROM sqlite_master
+      WHERE type == 'table' AND name IN ('first', 'second')
+    `);
+    assert.deepStrictEqual(tables.map((row) => row.name), [ 'first' ]);
+    await storage.close();
+  });
+
+  it('should refuse to open newer database', async () => {
+    const first = await open();
+    await first.db.runAsync(`PRAGMA user_version = ${CURRENT_VERSION + 1};`);
+    await first.close();
+
+    await assert.rejects(open(), /is newer than/);
+
+    // Failed open releases the database
+    await Storage.checkUnused(file);
+    const second = await open({ migrate: false });
+    assert.strictEqual(await getVersion(second), CURRENT_VERSION + 1);
+    await second.db.runAsync(`PRAGMA user_version = ${CURRENT_VERSION};`);
+    await second.close();
+
+    const third = await open();
+    await third.close();
+  });
+});
@@ -0,0 +1,89 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+
+import Storage from '../';
+
+describe('missing ancestors', () => {
+  let channelId = null;
+  let storage = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+    storage = new Storage();
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+    channelId = null;
+
+    await s.close();
+  });
+
+  const msg = (hash, height, parents = [], target = channelId) => {
+    return {
+      channelId: target,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`),
+    };
+  };
+
+  const strings = (list) => list.map((hash) => hash.toString());
+
+  it('should return missing parents and dangling messages', async () => {
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('c', 2, [ 'a', 'b' ]));
+    await storage.addMessages([
+      msg('e', 3, [ 'c', 'd' ]),
+      msg('f', 3, [ 'd' ]),
+    ]);
+
+    // Unrelated channel
+    await storage.addMessage(msg('z', 1, [ 'y' ], randomBytes(32)));
+
+    assert.deepStrictEqual(
+      strings(await storage.getMissingHashes(channelId)),
+      [ 'b', 'd' ]);
+    assert.deepStrictEqual(
+      strings(await storage.getMissingHashes(channelId, { limit: 1 })),
+      [ 'b' ]);
+
+    const dangling = await storage.getDanglingMessages(channelId);
+    assert.deepStrictEqual(dangling.map(({ hash, missingParents }) => {
+      return [ hash.toString(), strings(missingParents) ];
+    }), [
+      [ 'c', [ 'b' ] ],
+      [ 'e', [ 'd' ] ],
+      [ 'f', [ 'd' ] ],
+    ]);
+
+    await storage.addMessages([ msg('b', 1, [ 'a' ]), msg('d', 2, [ 'b' ]) ]);
+    assert.deepStrictEqual(await storage.getMissingHashes(channelId), []);
+    assert.deepStrictEqual(await storage.getDanglingMessages(channelId), []);
+  });
+
+  it('should not report pruned messages as missing', async () => {
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('b', 1, [ 'a' ]));
+    await storage.addMessage(msg('c', 2, [ 'b' ]));
+
+    await storage.setRetentionPolicy(channelId, { maxCount: 1 });
+    await storage.prune({ channelId });
+
+    assert.deepStrictEqual(await storage.getMissingHashes(channelId), []);
+    assert.deepStrictEqual(await storage.getDanglingMessages(channelId), []);
+  });
+
+  it('should forget edges of removed channel', async () => {
+    await storage.addMessage(msg('b', 1, [ 'a' ]));
+    await storage.removeChannelMessages(channelId);
+
+    assert.deepStrictEqual(await storage.getMissingHashes(channelId), []);
+    assert.deepStrictEqual(await storage.getDanglingMessages(channelId), []);
+  });
+});
@@ -0,0 +1,88 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+
+import Storage from '../';
+
+describe('read markers', () => {
+  let channelId = null;
+  let storage = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+    storage = new Storage();
+    await storage.open();
+
+    await storage.addMessages([
+      msg('a', 0),
+      msg('b', 1, [ 'a' ]),
+      msg('c', 1, [ 'a' ]),
+      msg('d', 2, [ 'b', 'c' ]),
+    ]);
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+    channelId = null;
+
+    await s.close();
+  });
+
+  const msg = (hash, height, parents = []) => {
+    return {
+      channelId,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`),
+    };
+  };
+
+  it('should count unread messages in CRDT order', async () => {
+    assert.strictEqual(await storage.getReadMarker(channelId), null);
+    assert.strictEqual(await storage.getUnreadCount(channelId), 4);
+
+    const events = [];
+    storage.on('readMarker', ({ hash }) => events.push(hash.toString()));
+
+    assert.ok(await storage.setReadMarker(channelId, Buffer.from('b')));
+    assert.deepStrictEqual(await storage.getReadMarker(channelId), {
+      hash: Buffer.from('b'),
+      height: 1,
+    });
+    assert.strictEqual(await storage.getUnreadCount(channelId), 2);
+
+    await storage.addMessage(msg('e', 3, [ 'd' ]));
+    assert.strictEqual(await storage.getUnreadCount(channelId), 3);
+
+    assert.ok(await storage.setReadMarker(channelId, Buffer.from('e')));
+    assert.strictEqual(await storage.getUnreadCount(channelId), 0);
+    assert.deepStrictEqual(events, [ 'b', 'e' ]);
+
+    await assert.rejects(storage.setReadMarker(channelId, Buffer.from('x')),
+      /Unknown message/);
+  });
+
+  it('should never move marker backwards', async () => {
+    const results = await Promise.all([
+      storage.setReadMarker(channelId, Buffer.from('c')),
+      storage.setReadMarker(channelId, Buffer.from('b')),
+      storage.setReadMarker(channelId, Buffer.from('a')),
+    ]);
+    assert.deepStrictEqual(results, [ true, false, false ]);
+    assert.strictEqual((await storage.getReadMarker(channelId)).hash.toString(),
+      'c');
+
+    assert.ok(!await storage.setReadMarker(channelId, Buffer.from('c')));
+    assert.strictEqual(await storage.getUnreadCount(channelId), 1);
+  });
+
+  it('should clear markers with channel messages', async () => {
+    await storage.setReadMarker(channelId, Buffer.from('d'));
+    await storage.removeChannelMessages(channelId);
+    assert.strictEqual(await storage.getReadMarker(channelId), null);
+    assert.strictEqual(await storage.getUnreadCount(channelId), 0);
+  });
+});
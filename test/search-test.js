@@ -0,0 +1,164 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import Storage from '../';
+
+describe('search', () => {
+  let channelId = null;
+  let storage = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+    storage = new Storage({
+      extractText: async (channelId, hash, blob) => {
+        const text = blob.toString();
+        return text.startsWith('binary') ? null : text;
+      },
+    });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+    channelId = null;
+
+    await s.close();
+  });
+
+  const msg = (hash, height, text, parents = []) => {
+    return {
+      channelId,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(text),
+    };
+  };
+
+  const search = async (query, options) => {
+    const { results } = await storage.searchMessages(channelId, query,
+      options);
+    return results.map(({ hash }) => hash.toString());
+  };
+
+  it('should find messages by text', async () => {
+    await storage.addMessage(msg('a', 0, 'hello world'));
+    await storage.addMessage(msg('a', 0, 'hello world'));
+    await storage.addMessages([
+      msg('b', 1, 'world peace, world order', [ 'a' ]),
+      msg('c', 1, 'binary garbage world', [ 'a' ]),
+    ]);
+
+    // Other channel
+    await storage.addMessage({
+      ...msg('x', 0, 'hello world'),
+      channelId: randomBytes(32),
+    });
+
+    assert.deepStrictEqual(await search('hello'), [ 'a' ]);
+    assert.deepStrictEqual(await search('world'), [ 'b', 'a' ]);
+    assert.deepStrictEqual(await search('garbage'), []);
+
+    const { results } = await storage.searchMessages(channelId, 'peace');
+    assert.strictEqual(results[0].snippet, 'world [peace], world order');
+  });
+
+  it('should paginate results', async () => {
+    for (let i = 0; i < 5; i++) {
+      await storage.addMessage(msg(`m${i}`, i, `message number ${i}`));
+    }
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await storage.searchMessages(channelId, 'message',
+        { limit: 2, cursor });
+      assert.ok(page.results.length <= 2);
+      seen.push(...page.results.map(({ hash }) => hash.toString()));
+      cursor = page.cursor;
+    } while (cursor !== null);
+
+    assert.deepStrictEqual(seen.sort(), [ 'm0', 'm1', 'm2', 'm3', 'm4' ]);
+  });
+
+  it('should keep index in sync with removals', async () => {
+    await storage.addMessage(msg('a', 0, 'hello world'));
+    await storage.removeChannelMessages(channelId);
+    assert.deepStrictEqual(await search('hello'), []);
+
+    await storage.addMessage(msg('a', 0, 'hello world'));
+    await storage.clear();
+    assert.deepStrictEqual(await search('hello'), []);
+  });
+
+  it('should rebuild index', async () => {
+    await storage.addMessage(msg('a', 0, 'hello world'));
+    await storage.db.runAsync('DELETE FROM messages_fts;');
+    assert.deepStrictEqual(await search('hello'), []);
+
+    await storage.rebuildSearchIndex();
+    assert.deepStrictEqual(await search('hello'), [ 'a' ]);
+  });
+
+  it('should create index only when search is enabled', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'peerlinks-'));
+    const file = path.join(tmpDir, 'search.db');
+
+    const plain = new Storage({ file });
+    await plain.open();
+    await plain.addMessage(msg('a', 0, 'hello world'));
+    await plain.removeChannelMessages(randomBytes(32));
+    await plain.clear();
+    await plain.addMessage(msg('a', 0, 'hello world'));
+    const tables = await plain.db.allAsync(`
+      SELECT name FROM sqlite_master WHERE name == 'messages_fts'
+    `);
+    assert.deepStrictEqual(tables, []);
+    await plain.close();
+
+    // Existing messages are indexed once search is enabled
+    const searchable = new Storage({
+      file,
+      extractText: async (channelId, hash, blob) => blob.toString(),
+    });
+    await searchable.open();
+    const { results } = await searchable.searchMessages(channelId, 'hello');
+    assert.deepStrictEqual(results.map(({ hash }) => hash.toString()),
+      [ 'a' ]);
+    await searchable.close();
+  });
+
+  it('should rebuild index when search is enabled again', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'peerlinks-'));
+    const file = path.join(tmpDir, 'search.db');
+    const extractText = async (channelId, hash, blob) => blob.toString();
+
+    const first = new Storage({ file, extractText });
+    await first.open();
+    await first.addMessage(msg('a', 0, 'hello world'));
+    await first.close();
+
+    // Search is disabled, the index is dropped
+    const plain = new Storage({ file });
+    await plain.open();
+    await plain.addMessage(msg('b', 1, 'hello again', [ 'a' ]));
+    const tables = await plain.db.allAsync(`
+      SELECT name FROM sqlite_master WHERE name == 'messages_fts'
+    `);
+    assert.deepStrictEqual(tables, []);
+    await plain.close();
+
+    const second = new Storage({ file, extractText });
+    await second.open();
+    const { results } = await second.searchMessages(channelId, 'hello');
+    assert.deepStrictEqual(results.map(({ hash }) => hash.toString()).sort(),
+      [ 'a', 'b' ]);
+    await second.close();
+  });
+});
@@ -0,0 +1,108 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import Storage from '../';
+
+describe('shared access', () => {
+  let channelId = null;
+  let file = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'peerlinks-'));
+    file = path.join(tmpDir, 'shared.db');
+  });
+
+  afterEach(() => {
+    channelId = null;
+    file = null;
+  });
+
+  const open = async (options = {}) => {
+    const storage = new Storage({ file, ...options });
+    await storage.open();
+    return storage;
+  };
+
+  const msg = (hash, height, parents = []) => {
+    return {
+      channelId,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`),
+    };
+  };
+
+  it('should share database between writer and readers', async () => {
+    const writer = await open({ journalMode: 'wal', locking: 'normal' });
+    await writer.addMessage(msg('a', 0));
+
+    const readers = [
+      await open({ readOnly: true }),
+      await open({ readOnly: true }),
+    ];
+    for (const reader of readers) {
+      assert.strictEqual(await reader.getMessageCount(channelId), 1);
+    }
+
+    // Readers see new messages
+    await writer.addMessage(msg('b', 1, [ 'a' ]));
+    for (const reader of readers) {
+      const leaves = await reader.getLeafHashes(channelId);
+      assert.deepStrictEqual(leaves.map((h) => h.toString()), [ 'b' ]);
+    }
+
+    // Readers can't write
+    await assert.rejects(readers[0].db.runAsync('DELETE FROM messages'),
+      /SQLITE_READONLY/);
+
+    for (const reader of readers) {
+      await reader.close();
+    }
+    await writer.close();
+  });
+
+  it('should retry when database is busy', async () => {
+    const options = { journalMode: 'wal', locking: 'normal' };
+    const first = await open(options);
+    const second = await open(options);
+
+    const writes = [];
+    for (let i = 0; i < 50; i++) {
+      writes.push(first.addMessage(msg(`a${i}`, 0)));
+      writes.push(second.addMessage(msg(`b${i}`, 0)));
+    }
+    await Promise.all(writes);
+
+    assert.strictEqual(await first.getMessageCount(channelId), 100);
+
+    await first.close();
+    await second.close();
+  });
+
+  it('should not migrate in read-only mode', async () => {
+    const writer = await open();
+    await writer.db.runAsync('PRAGMA user_version = 2;');
+    await writer.close();
+
+    await assert.rejects(open({ readOnly: true }), /read-only mode/);
+  });
+
+  it('should lock database in exclusive mode', async () => {
+    const writer = await open();
+    await writer.addMessage(msg('a', 0));
+
+    const reader = await open({ readOnly: true, busyTimeout: 10 })
+      .catch((err) => err);
+    assert.ok(/SQLITE_BUSY/.test(reader.message));
+
+    await writer.close();
+  });
+});
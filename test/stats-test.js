@@ -0,0 +1,120 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+
+import Storage, { QuotaExceededError } from '../';
+
+describe('stats', () => {
+  let channelId = null;
+  let storage = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+    storage = new Storage({
+      quota: {
+        channelMessages: 5,
+        channelBytes: 30,
+        totalBytes: 40,
+      },
+    });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+    channelId = null;
+
+    await s.close();
+  });
+
+  const msg = (hash, height, parents = [], target = channelId) => {
+    return {
+      channelId: target,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`),
+    };
+  };
+
+  it('should compute channel stats', async () => {
+    assert.deepStrictEqual(await storage.getChannelStats(channelId), {
+      messageCount: 0,
+      blobBytes: 0,
+      minHeight: null,
+      maxHeight: null,
+      leafCount: 0,
+    });
+
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessages([
+      msg('b', 1, [ 'a' ]),
+      msg('c', 1, [ 'a' ]),
+      msg('c', 1, [ 'a' ]),
+    ]);
+
+    assert.deepStrictEqual(await storage.getChannelStats(channelId), {
+      messageCount: 3,
+      blobBytes: 12,
+      minHeight: 0,
+      maxHeight: 1,
+      leafCount: 2,
+    });
+
+    const other = randomBytes(32);
+    await storage.addMessage(msg('x', 0, [], other));
+    await storage.storeEntity('fake', 'id', Buffer.from('hello'));
+
+    const stats = await storage.getStorageStats();
+    assert.strictEqual(stats.channels.length, 2);
+    assert.ok(stats.channels[0].channelId.equals(channelId));
+    assert.strictEqual(stats.channels[0].messageCount, 3);
+    assert.strictEqual(stats.channels[1].messageCount, 1);
+    assert.strictEqual(stats.messageBytes, 16);
+    assert.strictEqual(stats.entityCount, 1);
+    assert.strictEqual(stats.entityBytes, 5);
+    assert.ok(stats.fileSize > 0);
+    assert.strictEqual(stats.fileSize % stats.pageSize, 0);
+    assert.strictEqual(typeof stats.freePages, 'number');
+
+    await storage.removeChannelMessages(other);
+    const after = await storage.getStorageStats();
+    assert.strictEqual(after.channels.length, 1);
+  });
+
+  it('should enforce per-channel message quota', async () => {
+    for (let i = 0; i < 5; i++) {
+      await storage.addMessage(msg(`m${i}`, 0));
+    }
+
+    await assert.rejects(storage.addMessage(msg('m5', 0)), (err) => {
+      assert.ok(err instanceof QuotaExceededError);
+      assert.strictEqual(err.quota, 'channelMessages');
+      assert.ok(err.channelId.equals(channelId));
+      return true;
+    });
+
+    // Existing messages can still be added
+    await storage.addMessage(msg('m0', 0));
+    await storage.addMessages([ msg('m1', 0) ]);
+    assert.strictEqual(await storage.getMessageCount(channelId), 5);
+  });
+
+  it('should enforce byte quotas', async () => {
+    const big = (hash, target) => {
+      return { ...msg(hash, 0, [], target), data: Buffer.alloc(20) };
+    };
+
+    await storage.addMessage(big('a'));
+    await assert.rejects(storage.addMessages([ big('b') ]), /channelBytes/);
+    assert.strictEqual(await storage.getMessageCount(channelId), 1);
+
+    const other = randomBytes(32);
+    await storage.addMessage(big('x', other));
+    await assert.rejects(storage.addMessage(msg('y', 0, [], other)),
+      /totalBytes/);
+  });
+});
@@ -25,9 +25,9 @@ describe('Storage', function() {
     await s.close();
   });
 
-  const msg = (hash, height, parents = []) => {
+  const msg = (hash, height, parents = [], target = channelId) => {
     return {
-      channelId,
+      channelId: target,
       hash: Buffer.from(hash),
       height,
       parents: parents.map((hash) => Buffer.from(hash)),
@@ -42,8 +42,8 @@ describe('Storage', function() {
     return blobs.map((blob) => blob.toString());
   };
 
-  const leaves = async () => {
-    const result = await storage.getLeafHashes(channelId);
+  const leaves = async (target = channelId) => {
+    const result = await storage.getLeafHashes(target);
     return result.map((message) => message.toString()).sort();
   };
 
@@ -103,6 +103,67 @@ describe('Storage', function() {
       assert.strictEqual(result.backwardHash.toString(), 'b');
       assert.strictEqual(result.forwardHash.toString(), 'd');
     }
+
+    {
+      const result = await storage.query(channelId, { height: 2 }, true, 2);
+      assert.strictEqual(result.abbreviatedMessages.length, 2);
+      assert.strictEqual(result.abbreviatedMessages[0].hash.toString(), 'b');
+      assert.strictEqual(result.abbreviatedMessages[1].hash.toString(), 'c');
+      assert.strictEqual(result.backwardHash.toString(), 'a');
+      assert.strictEqual(result.forwardHash.toString(), 'd');
+    }
+
+    {
+      const result = await storage.query(channelId, { height: Infinity },
+        true, 10);
+      assert.strictEqual(result.abbreviatedMessages.length, 4);
+      assert.strictEqual(result.abbreviatedMessages[3].hash.toString(), 'd');
+      assert.strictEqual(result.backwardHash, null);
+      assert.strictEqual(result.forwardHash, null);
+    }
+  });
+
+  it('should query messages by height range', async () => {
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('c', 1));
+    await storage.addMessage(msg('b', 1));
+    await storage.addMessage(msg('d', 2));
+    await storage.addMessage(msg('e', 3));
+
+    {
+      const result = await storage.queryRange(channelId, {
+        fromHeight: 1,
+        toHeight: 3,
+        limit: 10,
+      });
+      assert.deepStrictEqual(result.abbreviatedMessages.map(({ hash }) => {
+        return hash.toString();
+      }), [ 'b', 'c', 'd' ]);
+      assert.strictEqual(result.backwardHash.toString(), 'b');
+      assert.strictEqual(result.forwardHash, null);
+    }
+
+    {
+      const result = await storage.queryRange(channelId, {
+        fromHeight: 1,
+        limit: 2,
+      });
+      assert.deepStrictEqual(result.abbreviatedMessages.map(({ hash }) => {
+        return hash.toString();
+      }), [ 'b', 'c' ]);
+      assert.strictEqual(result.backwardHash.toString(), 'b');
+      assert.strictEqual(result.forwardHash.toString(), 'd');
+    }
+
+    {
+      const result = await storage.queryRange(channelId, {
+        fromHeight: 4,
+        limit: 2,
+      });
+      assert.strictEqual(result.abbreviatedMessages.length, 0);
+      assert.strictEqual(result.backwardHash, null);
+      assert.strictEqual(result.forwardHash, null);
+    }
   });
 
   it('should query messages by hash', async () => {
@@ -176,6 +237,24 @@ describe('Storage', function() {
     assert.deepStrictEqual(await leaves(), [ 'd' ]);
   });
 
+  it('should maintain leaves with out of order insertion', async () => {
+    await storage.addMessage(msg('c', 2, [ 'b' ]));
+    assert.deepStrictEqual(await leaves(), [ 'c' ]);
+
+    await storage.addMessage(msg('b', 1, [ 'a' ]));
+    assert.deepStrictEqual(await leaves(), [ 'c' ]);
+
+    await storage.addMessages([
+      msg('e', 3, [ 'c', 'd' ]),
+      msg('a', 0),
+      msg('d', 2, [ 'b' ]),
+    ]);
+    assert.deepStrictEqual(await leaves(), [ 'e' ]);
+
+    await storage.removeChannelMessages(channelId);
+    assert.deepStrictEqual(await leaves(), []);
+  });
+
   it('should store and retrieve entities', async () => {
     class Fake {
       constructor(text) {
@@ -203,6 +282,67 @@ describe('Storage', function() {
     assert.ok(!missing);
   });
 
+  it('should iterate messages in CRDT order', async () => {
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('c', 1, [ 'a' ]));
+    await storage.addMessage(msg('b', 1, [ 'a' ]));
+    await storage.addMessage(msg('d', 2, [ 'b', 'c' ]));
+
+    const collect = async (options) => {
+      const result = [];
+      for await (const message of storage.iterateMessages(channelId, options)) {
+        result.push(message);
+      }
+      return result;
+    };
+    const hashes = (list) => list.map(({ hash }) => hash.toString());
+
+    const all = await collect({ batchSize: 1 });
+    assert.deepStrictEqual(hashes(all), [ 'a', 'b', 'c', 'd' ]);
+    assert.strictEqual(all[3].height, 2);
+    assert.deepStrictEqual(all[3].parents.map((p) => p.toString()),
+      [ 'b', 'c' ]);
+    assert.strictEqual(all[3].blob.toString(), '2: d');
+
+    const backward = await collect({ direction: 'backward', batchSize: 3 });
+    assert.deepStrictEqual(hashes(backward), [ 'd', 'c', 'b', 'a' ]);
+
+    const partial = await collect({
+      from: { height: 1, hash: Buffer.from('b') },
+      includeBlobs: false,
+    });
+    assert.deepStrictEqual(hashes(partial), [ 'c', 'd' ]);
+    assert.ok(!('blob' in partial[0]));
+
+    assert.deepStrictEqual(
+      hashes(await collect({ from: { height: 1 }, direction: 'backward' })),
+      [ 'c', 'b', 'a' ]);
+
+    await assert.rejects(collect({ direction: 'sideways' }),
+      /Invalid iteration direction/);
+  });
+
+  it('should iterate messages while inserting', async () => {
+    for (let i = 0; i < 10; i++) {
+      await storage.addMessage(msg(`m${i}`, i * 2));
+    }
+
+    const seen = [];
+    const iterator = storage.iterateMessages(channelId, { batchSize: 3 });
+    for await (const message of iterator) {
+      seen.push(message.hash.toString());
+      if (seen.length === 4) {
+        // Before and after the cursor
+        await storage.addMessage(msg('early', 1));
+        await storage.addMessage(msg('late', 15));
+      }
+    }
+
+    assert.deepStrictEqual(seen, [
+      'm0', 'm1', 'm2', 'm3', 'm4', 'm5', 'm6', 'm7', 'late', 'm8', 'm9',
+    ]);
+  });
+
   it('should get reverse hashes by offset/limit', async () => {
     await storage.addMessage(msg('a', 0));
     await storage.addMessage(msg('c', 1));
@@ -268,6 +408,115 @@ describe('Storage', function() {
     }
   });
 
+  it('should add messages in batches', async () => {
+    await storage.addMessage(msg('a', 0));
+
+    const result = await storage.addMessages([
+      msg('a', 0),
+      msg('b', 1, [ 'a' ]),
+      msg('c', 1, [ 'a' ]),
+      msg('c', 1, [ 'a' ]),
+      msg('d', 2, [ 'b', 'c' ]),
+    ]);
+    assert.deepStrictEqual(result.added.map((h) => h.toString()),
+      [ 'b', 'c', 'd' ]);
+    assert.deepStrictEqual(result.existing.map((h) => h.toString()), [ 'a' ]);
+
+    assert.strictEqual(await storage.getMessageCount(channelId), 4);
+    assert.deepStrictEqual(await leaves(), [ 'd' ]);
+    assert.deepStrictEqual(await at(0, 4), [
+      '0: a',
+      '1: b',
+      '1: c',
+      '2: d',
+    ]);
+  });
+
+  it('should add tons of messages in a single batch', async () => {
+    const messages = [];
+    let parents = [];
+    for (let i = 0; i < 3000; i++) {
+      const hash = `h${i}`;
+      messages.push(msg(hash, i, parents));
+      parents = [ hash ];
+    }
+
+    const result = await storage.addMessages(messages);
+    assert.strictEqual(result.added.length, 3000);
+    assert.strictEqual(result.existing.length, 0);
+    assert.strictEqual(await storage.getMessageCount(channelId), 3000);
+    assert.deepStrictEqual(await leaves(), [ 'h2999' ]);
+  });
+
+  it('should prune messages according to retention policy', async () => {
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('b', 1, [ 'a' ]));
+    await storage.addMessage(msg('c', 2, [ 'b' ]));
+    await storage.addMessage(msg('x', 2, [ 'b' ]));
+    await storage.addMessage(msg('d', 3, [ 'c' ]));
+    await storage.addMessage(msg('e', 4, [ 'd' ]));
+
+    await storage.setRetentionPolicy(channelId, { maxCount: 2 });
+    assert.deepStrictEqual(await storage.getRetentionPolicy(channelId),
+      { maxCount: 2 });
+
+    const dryRun = await storage.prune({ dryRun: true });
+    assert.strictEqual(dryRun.length, 1);
+    assert.ok(dryRun[0].channelId.equals(channelId));
+    assert.deepStrictEqual(dryRun[0].hashes.map((h) => h.toString()),
+      [ 'a', 'b', 'c', 'd' ]);
+    assert.strictEqual(await storage.getMessageCount(channelId), 6);
+
+    const report = await storage.prune({ channelId });
+    assert.strictEqual(report[0].hashes.length, 4);
+    assert.strictEqual(report[0].bytes, 16);
+
+    // Leaves are kept
+    assert.strictEqual(await storage.getMessageCount(channelId), 2);
+    assert.deepStrictEqual(await leaves(), [ 'e', 'x' ]);
+
+    // Pruned messages are still known
+    assert.ok(await storage.hasMessage(channelId, Buffer.from('a')));
+    assert.strictEqual(
+      await storage.getMessage(channelId, Buffer.from('a')),
+      undefined);
+    const blobs = await storage.getMessages(channelId,
+      [ 'e', 'a', 'unknown', 'x' ].map((hash) => Buffer.from(hash)));
+    assert.deepStrictEqual(blobs.map((blob) => blob && blob.toString()),
+      [ '4: e', undefined, undefined, '2: x' ]);
+
+    // ...and can be used as cursors
+    const result = await storage.query(
+      channelId,
+      { hash: Buffer.from('c') },
+      false,
+      10);
+    assert.deepStrictEqual(
+      result.abbreviatedMessages.map(({ hash }) => hash.toString()),
+      [ 'x', 'e' ]);
+
+    assert.deepStrictEqual(await storage.prune(), [ {
+      channelId,
+      hashes: [],
+      bytes: 0,
+    } ]);
+  });
+
+  it('should prune messages by height', async () => {
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('b', 1, [ 'a' ]));
+    await storage.addMessage(msg('c', 2, [ 'b' ]));
+
+    await storage.setRetentionPolicy(channelId, { minHeight: 2 });
+    const report = await storage.prune();
+    assert.deepStrictEqual(report[0].hashes.map((h) => h.toString()),
+      [ 'a', 'b' ]);
+    assert.deepStrictEqual(await at(0, 10), [ '2: c' ]);
+
+    await storage.setRetentionPolicy(channelId, null);
+    assert.strictEqual(await storage.getRetentionPolicy(channelId), undefined);
+  });
+
   it('should remove messages specific to the channel', async () => {
     const a = {
       channelId,
@@ -293,4 +542,41 @@ describe('Storage', function() {
     await storage.removeChannelMessages(b.channelId);
     assert.ok(!(await storage.hasMessage(b.channelId, b.hash)));
   });
+
+  it('should isolate messages with the same hash in different channels',
+    async () => {
+      const other = randomBytes(32);
+
+      await storage.addMessage(msg('a', 0));
+      await storage.addMessage(msg('b', 1, [ 'a' ]));
+      await storage.addMessage(msg('a', 0, [], other));
+      await storage.addMessages([
+        msg('b', 1, [ 'a' ], other),
+        msg('c', 1, [ 'a' ], other),
+      ]);
+
+      assert.strictEqual(await storage.getMessageCount(channelId), 2);
+      assert.strictEqual(await storage.getMessageCount(other), 3);
+      assert.deepStrictEqual(await leaves(), [ 'b' ]);
+      assert.deepStrictEqual(await leaves(other), [ 'b', 'c' ]);
+
+      await storage.removeChannelMessages(other);
+      assert.ok(await storage.hasMessage(channelId, Buffer.from('a')));
+      assert.ok(await storage.hasMessage(channelId, Buffer.from('b')));
+      assert.deepStrictEqual(await leaves(), [ 'b' ]);
+      assert.ok((await storage.verifyChannel(channelId)).ok);
+    });
+
+  it('should not share parents between channels', async () => {
+    const other = randomBytes(32);
+
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('a', 0, [], other));
+    await storage.addMessage(msg('b', 1, [ 'a' ], other));
+
+    assert.deepStrictEqual(await leaves(), [ 'a' ]);
+    assert.deepStrictEqual(await leaves(other), [ 'b' ]);
+    assert.ok((await storage.verifyChannel(channelId)).ok);
+    assert.ok((await storage.verifyChannel(other)).ok);
+  });
 });
@@ -0,0 +1,193 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+
+import Storage from '../';
+
+describe('transactions', () => {
+  let channelId = null;
+  let storage = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+    storage = new Storage();
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+    channelId = null;
+
+    await s.close();
+  });
+
+  const msg = (hash, height, parents = []) => {
+    return {
+      channelId,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`),
+    };
+  };
+
+  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  it('should commit messages and entities together', async () => {
+    const events = [];
+    storage.on('message', ({ hash }) => events.push(hash.toString()));
+    storage.on('entityStored', ({ id }) => events.push(id));
+
+    const result = await storage.transaction(async (tx) => {
+      await tx.addMessage(msg('a', 0));
+      await tx.storeEntity('channel-list', 'last-seen', Buffer.from('a'));
+
+      // Own writes are visible
+      assert.ok(await tx.hasMessage(channelId, Buffer.from('a')));
+      assert.deepStrictEqual(events, []);
+      return 'ok';
+    });
+    assert.strictEqual(result, 'ok');
+    assert.deepStrictEqual(events, [ 'a', 'last-seen' ]);
+
+    assert.ok(await storage.hasMessage(channelId, Buffer.from('a')));
+    const blob = await storage.retrieveEntity('channel-list', 'last-seen');
+    assert.strictEqual(blob.toString(), 'a');
+  });
+
+  it('should roll back everything on error', async () => {
+    const events = [];
+    storage.on('message', ({ hash }) => events.push(hash.toString()));
+
+    await assert.rejects(storage.transaction(async (tx) => {
+      await tx.addMessages([ msg('a', 0), msg('b', 1, [ 'a' ]) ]);
+      await tx.storeEntity('channel-list', 'last-seen', Buffer.from('b'));
+      throw new Error('Oops');
+    }), /Oops/);
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(await storage.getMessageCount(channelId), 0);
+    assert.deepStrictEqual(await storage.getLeafHashes(channelId), []);
+    assert.strictEqual(await storage.getEntityCount(), 0);
+    assert.deepStrictEqual(await storage.changesSince(0), []);
+  });
+
+  it('should roll back when a write statement fails', async () => {
+    await storage.db.runAsync(`
+      CREATE TEMP TRIGGER fail_leaves BEFORE INSERT ON leaves
+      BEGIN SELECT RAISE(ABORT, 'leaf failure'); END;
+    `);
+
+    const events = [];
+    storage.on('message', ({ hash }) => events.push(hash.toString()));
+
+    await assert.rejects(storage.transaction(async (tx) => {
+      await tx.storeEntity('channel-list', 'last-seen', Buffer.from('a'));
+      await tx.addMessage(msg('a', 0));
+    }), /leaf failure/);
+    await assert.rejects(storage.addMessages([ msg('b', 0) ]),
+      /leaf failure/);
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(await storage.getMessageCount(channelId), 0);
+    assert.strictEqual(await storage.getEntityCount(), 0);
+
+    // Failed write inside of a transaction can be recovered from
+    await storage.transaction(async (tx) => {
+      await tx.storeEntity('channel-list', 'last-seen', Buffer.from('a'));
+      await assert.rejects(tx.addMessage(msg('a', 0)), /leaf failure/);
+    });
+    assert.strictEqual(await storage.getMessageCount(channelId), 0);
+    assert.strictEqual(await storage.getEntityCount(), 1);
+  });
+
+  it('should serialize concurrent transactions', async () => {
+    const order = [];
+
+    const first = storage.transaction(async (tx) => {
+      order.push('first:start');
+      await tx.storeEntity('test', 'first', Buffer.from('1'));
+      await delay(20);
+      order.push('first:end');
+      throw new Error('Oops');
+    });
+    const second = storage.storeEntity('test', 'second', Buffer.from('2'));
+    const third = storage.transaction(async (tx) => {
+      order.push('third:start');
+      await tx.storeEntity('test', 'third', Buffer.from('3'));
+      order.push('third:end');
+    });
+
+    await assert.rejects(first, /Oops/);
+    await second;
+    await third;
+
+    assert.deepStrictEqual(order, [
+      'first:start',
+      'first:end',
+      'third:start',
+      'third:end',
+    ]);
+    assert.deepStrictEqual((await storage.getEntityKeys('test')).sort(),
+      [ 'second', 'third' ]);
+  });
+
+  it('should merge nested transactions', async () => {
+    await storage.transaction(async (tx) => {
+      await tx.transaction(async (nested) => {
+        await nested.addMessage(msg('a', 0));
+      });
+      await tx.addMessage(msg('b', 1, [ 'a' ]));
+    });
+
+    const leaves = await storage.getLeafHashes(channelId);
+    assert.deepStrictEqual(leaves.map((hash) => hash.toString()), [ 'b' ]);
+  });
+
+  it('should not allow using finished transaction', async () => {
+    let saved = null;
+    await storage.transaction(async (tx) => {
+      saved = tx;
+    });
+
+    await assert.rejects(saved.addMessage(msg('a', 0)),
+      /Transaction has already finished/);
+    assert.strictEqual(await storage.getMessageCount(channelId), 0);
+  });
+
+  it('should not expose uncommitted writes', async () => {
+    let started = null;
+    const isStarted = new Promise((resolve) => {
+      started = resolve;
+    });
+
+    const pending = assert.rejects(storage.transaction(async (tx) => {
+      await tx.addMessage(msg('a', 0));
+      started();
+      await delay(20);
+      throw new Error('Oops');
+    }), /Oops/);
+
+    await isStarted;
+    assert.strictEqual(await storage.getMessageCount(channelId), 0);
+    assert.deepStrictEqual(await storage.changesSince(0), []);
+    await pending;
+  });
+
+  it('should reject storage writes within transaction', async () => {
+    await storage.transaction(async (tx) => {
+      await tx.addMessage(msg('a', 0));
+
+      // Reads see own writes
+      assert.strictEqual(await storage.getMessageCount(channelId), 1);
+
+      await assert.rejects(
+        storage.storeEntity('test', 'a', Buffer.from('a')),
+        /use the transaction object/);
+    });
+    assert.strictEqual(await storage.getMessageCount(channelId), 1);
+    assert.deepStrictEqual(await storage.getEntityKeys('test'), []);
+  });
+});
@@ -0,0 +1,130 @@
+/* eslint-env node, mocha */
+import * as assert from 'assert';
+import { Buffer } from 'buffer';
+import { randomBytes } from 'crypto';
+
+import Storage from '../';
+
+describe('verification', () => {
+  let channelId = null;
+  let storage = null;
+
+  beforeEach(async () => {
+    channelId = randomBytes(32);
+    storage = new Storage();
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    const s = storage;
+    storage = null;
+    channelId = null;
+
+    await s.close();
+  });
+
+  const msg = (hash, height, parents = [], target = channelId) => {
+    return {
+      channelId: target,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`),
+    };
+  };
+
+  const strings = (list) => list.map((hash) => hash.toString());
+
+  it('should report consistent channel', async () => {
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('b', 1, [ 'a' ]));
+    await storage.addMessage(msg('c', 1, [ 'a' ]));
+    await storage.addMessage(msg('d', 2, [ 'b', 'c' ]));
+
+    const report = await storage.verifyChannel(channelId);
+    assert.ok(report.ok);
+    assert.strictEqual(report.messageCount, 4);
+
+    // Pruning should not break anything
+    await storage.setRetentionPolicy(channelId, { maxCount: 1 });
+    await storage.prune();
+    assert.ok((await storage.verifyChannel(channelId)).ok);
+
+    const all = await storage.verifyAll();
+    assert.ok(all.ok);
+    assert.deepStrictEqual(all.integrity, [ 'ok' ]);
+    assert.strictEqual(all.channels.length, 1);
+  });
+
+  it('should report inconsistencies', async () => {
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('b', 3, [ 'a' ]));
+    await storage.addMessage(msg('c', 1, [ 'x' ]));
+    await storage.addMessage(msg('y', 0, [], randomBytes(32)));
+    await storage.addMessage(msg('d', 1, [ 'y' ]));
+
+    await storage.db.runAsync(`
+      INSERT INTO parents (channel_id, hash) VALUES ($channelId, 'orphan')
+    `, { $channelId: channelId });
+    await storage.db.runAsync(`
+      DELETE FROM parents WHERE hash == $hash
+    `, { $hash: Buffer.from('a') });
+
+    const report = await storage.verifyChannel(channelId);
+    assert.ok(!report.ok);
+    assert.deepStrictEqual(report.missingParents.map(({ hash, parent }) => {
+      return `${hash}->${parent}`;
+    }), [ 'c->x', 'd->y' ]);
+    assert.deepStrictEqual(report.heightViolations, [ {
+      hash: Buffer.from('b'),
+      height: 3,
+      expected: 1,
+    } ]);
+    assert.deepStrictEqual(strings(report.orphanParents), [ 'orphan' ]);
+    assert.deepStrictEqual(strings(report.unrecordedParents), [ 'a' ]);
+    assert.deepStrictEqual(strings(report.channelMismatches.map(({ hash }) => {
+      return hash;
+    })), [ 'y' ]);
+
+    const all = await storage.verifyAll();
+    assert.ok(!all.ok);
+    assert.strictEqual(all.channels.length, 2);
+  });
+
+  it('should rebuild parents table', async () => {
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('b', 1, [ 'a' ]));
+
+    await storage.db.runAsync('DELETE FROM parents;');
+    await storage.db.runAsync('DELETE FROM leaves;');
+    assert.deepStrictEqual(await storage.getLeafHashes(channelId), []);
+    assert.ok(!(await storage.verifyChannel(channelId)).ok);
+
+    await storage.repair({ channelId });
+    assert.ok((await storage.verifyChannel(channelId)).ok);
+    assert.deepStrictEqual(strings(await storage.getLeafHashes(channelId)),
+      [ 'b' ]);
+
+    await storage.db.runAsync('DELETE FROM parents;');
+    await storage.repair();
+    assert.ok((await storage.verifyAll()).ok);
+  });
+
+  it('should report and rebuild leaves', async () => {
+    await storage.addMessage(msg('a', 0));
+    await storage.addMessage(msg('b', 1, [ 'a' ]));
+
+    await storage.db.runAsync(`
+      INSERT INTO leaves (channel_id, hash) VALUES ($channelId, $hash)
+    `, { $channelId: channelId, $hash: Buffer.from('a') });
+
+    const report = await storage.verifyChannel(channelId);
+    assert.ok(!report.ok);
+    assert.deepStrictEqual(strings(report.leafMismatches), [ 'a' ]);
+
+    await storage.repair({ channelId });
+    assert.ok((await storage.verifyChannel(channelId)).ok);
+    assert.deepStrictEqual(strings(await storage.getLeafHashes(channelId)),
+      [ 'b' ]);
+  });
+});